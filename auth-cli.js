@@ -0,0 +1,62 @@
+/**
+ * auth-cli.js
+ *
+ * Manage web UI accounts and access tokens in ./data/auth.json (works while the bot is stopped;
+ * restart the bot afterwards so it picks the changes up).
+ *
+ * Usage:
+ *    node auth-cli.js add-user <username> <viewer|editor> [--password P] [--guilds id,id]   (random password printed if omitted)
+ *    node auth-cli.js remove-user <username>
+ *    node auth-cli.js issue-token <name> <viewer|editor> [--guilds id,id]                  (the token is printed once)
+ *    node auth-cli.js revoke-token <id>
+ *    node auth-cli.js list
+ *
+ * --guilds limits the account or token to those Discord servers; without it, it can see every server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AuthStore } from './lib/auth.js';
+
+const DATA_DIR = path.resolve('./data');
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const auth = new AuthStore(path.join(DATA_DIR, 'auth.json'));
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const option = name => {
+    const i = rest.indexOf(name);
+    return i >= 0 ? rest.splice(i, 2)[1] : null;
+  };
+  const password = option('--password');
+  const guilds = (option('--guilds') || '').split(',').filter(Boolean);
+  const [name, role] = rest;
+
+  if (command === 'add-user') {
+    const pass = password || crypto.randomBytes(12).toString('base64url');
+    auth.setUser(name, role, pass, guilds);
+    console.log(`User ${name} (${role}) saved.${password ? '' : ` Password: ${pass}`}`);
+  } else if (command === 'remove-user') {
+    console.log(auth.removeUser(name) ? `User ${name} removed.` : `No user ${name}.`);
+  } else if (command === 'issue-token') {
+    const { id, token } = auth.issueToken(name, role, 'cli', guilds);
+    console.log(`Token ${id} (${name}, ${role}):\n${token}\nIt is not stored in readable form — copy it now.`);
+  } else if (command === 'revoke-token') {
+    console.log(auth.revokeToken(name) ? `Token ${name} revoked.` : `No token ${name}.`);
+  } else if (command === 'list') {
+    const scope = guilds => (guilds.length ? ` [guilds ${guilds.join(', ')}]` : '');
+    for (const u of auth.listUsers()) console.log(`user   ${u.username.padEnd(20)} ${u.role}${scope(u.guilds)}`);
+    for (const t of auth.listTokens()) console.log(`token  ${t.id.padEnd(20)} ${t.role.padEnd(7)} ${t.name}${scope(t.guilds)}${t.lastUsedAt ? ` (last used ${new Date(t.lastUsedAt).toISOString()})` : ''}`);
+  } else {
+    console.log('Usage: node auth-cli.js add-user|remove-user|issue-token|revoke-token|list ... (see the header of auth-cli.js)');
+    process.exit(command ? 1 : 0);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -4,19 +4,53 @@
  * Full Discord giveaway Battle Royale bot with minimal Web UI.
  * - Use environment variables:
  *    BOT_TOKEN (required for Discord features)
- *    SERVER_SEED (private server seed / public server key string)
  *    PORT (optional, default 3000)
+ *    PUBLIC_URL (optional, base URL of the web UI used in verify links)
+ *    GUILD_ID (optional, register slash commands to this guild only — instant, handy for testing)
+ *    GIVEAWAY_ADMIN_IDS (optional, comma-separated user ids that may submit seeds for any giveaway)
+ *    WEB_ALLOWED_ORIGINS (optional, comma-separated extra origins allowed to call the API from a browser)
+ *    STORAGE (optional, json (default) or sqlite; see lib/storage.js)
+ *    SQLITE_FILE (optional, default ./data/giveaways.db)
+ *    ARCHIVE_AFTER_DAYS (optional, default 7: finished/cancelled giveaways are archived this long after ending)
  *
- * - Data persisted in ./data/giveaways.json and ./data/setups.json
+ * - Data persisted in ./data through lib/storage.js (atomic JSON files per giveaway, or SQLite); archived
+ *   giveaways stay readable through the API and verify routes
+ * - Web UI / API need a login (viewer or editor; see lib/auth.js and auth-cli.js); API writes are logged
+ *   to ./data/api-audit.log. Only the verify routes are public.
+ * - Multi-guild: setups, schedules and giveaways belong to one guild (`guildId`); setup/schedule routes take
+ *   ?guild=<id>, and logins can be limited to some guilds. Per-guild staff roles, default channel and limits
+ *   live in lib/guildSettings.js (GET/PUT /api/guilds/:guildId/settings)
  *
- * - Command: $start {setupNameOrId}
+ * - Commands: /giveaway start|list|status|end|extend|reopen|cancel|reroll|setups, for administrators and the
+ *   guild's staff roles ($start {setupNameOrId} still works as a fallback while we migrate)
  * - Join via message "Join" button, Verify via "Verify" button (creator provides seeds via Modal)
+ * - The message lists only the top entrants (lib/participants.js keeps it under Discord's field limit);
+ *   "Participants" opens an ephemeral, searchable list and "My entries" shows a user their entries and,
+ *   after the draw, the round each one went out in
+ * - Lifecycle: collecting -> awaiting_seeds -> running -> finished (or cancelled); seeds are accepted
+ *   once, from the creator or GIVEAWAY_ADMIN_IDS, and only after collection has ended. A draw that fails
+ *   is announced in the channel and retried on restart; staff can cancel it instead
  *
  * Notes:
  * - Uses HMAC-SHA512(serverSeed, `${clientSeed1}:${clientSeed2}:${entryIndex}`) -> float
- * - Live embed update every 1s
- * - Join queue processes one join per second
- * - If interaction errors `Unknown interaction (10062)` are caught, bot attempts a restart
+ * - Each giveaway gets a fresh random serverSeed; only its SHA-256 commitment is shown
+ *   until the winner is announced, then the seed itself is revealed
+ * - Finished draws can be replayed via GET /api/giveaways/:id/verify or /verify.html; GET /api/giveaways/:id/report
+ *   (?format=csv|json) is the full audit record (lib/report.js), also posted as a file for setups with `attachReport`
+ * - Live dashboard at /dashboard.html: GET /api/giveaways(/:id) plus pushes over the /ws WebSocket (lib/liveHub.js)
+ * - Lifecycle moments go out as typed events on one bus (lib/events.js) that feeds the dashboard and outbound
+ *   webhooks: signed, retried with backoff, logged and replayable (lib/webhooks.js, /api/webhooks)
+ * - The draw itself lives in lib/battleRoyale.js (pure, no Discord); `npm run simulate` runs it headless
+ * - Giveaway messages are re-rendered on change through one coalescing renderer (lib/renderer.js),
+ *   paced per channel; lifecycle notices are sent once
+ * - Unfinished giveaways are resumed on ready (startup / client restart); interrupted draws replay deterministically
+ * - Joins are deferred immediately and applied in per-giveaway batches; one join per user, checked against
+ *   the setup's eligibility rules (member roles are cached for a few minutes)
+ * - Expired interactions (`Unknown interaction`, 10062) are logged and dropped; they never restart the client
+ * - Scheduled giveaways (web UI, /api/schedules; lib/scheduler.js) start a setup once or on a weekly/daily clock
+ *   in a timezone, optionally drawing automatically with pre-committed or derived client seeds
+ * - Setups with `claimMinutes` make winners press Claim (sent by DM, or pinged in the channel) before a deadline;
+ *   unclaimed places are rerolled automatically (lib/claims.js)
  */
 
 import fs from 'fs';
@@ -25,7 +59,6 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import http from 'http';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -38,52 +71,609 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  AttachmentBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
   InteractionType,
-  PermissionFlagsBits
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+  ChannelType
 } from 'discord.js';
 
+import {
+  generateServerSeed,
+  commitServerSeed,
+  DEFAULT_SCHEDULE,
+  MAX_WINNERS,
+  MAX_CLIENT_SEED_LENGTH,
+  normalizePrizeConfig,
+  parseSchedule,
+  normalizeSchedule,
+  computeBattleRoyale,
+  applyRerolls,
+  serializeWinner,
+  buildVerification
+} from './lib/battleRoyale.js';
+import { MessageRenderer } from './lib/renderer.js';
+import { LiveHub } from './lib/liveHub.js';
+import { EventBus, LIVE_TYPES } from './lib/events.js';
+import { WebhookDispatcher, WEBHOOK_EVENTS, validateWebhook, editableWebhookFields, newWebhookSecret } from './lib/webhooks.js';
+import { AuthStore, SESSION_COOKIE, roleAllows, canAccessGuild } from './lib/auth.js';
+import {
+  validateSetup,
+  editableFields,
+  nameKey,
+  WEIGHTING_POLICIES,
+  MAX_ENTRIES_PER_USER,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  SNOWFLAKE
+} from './lib/setupSchema.js';
+import { defaultGuildSettings, validateGuildSettings, isGuildStaff, guildLimitProblem } from './lib/guildSettings.js';
+import { createStorage } from './lib/storage.js';
+import { openClaim, closeClaim, currentClaims, pendingClaims, expiredClaims } from './lib/claims.js';
+import { buildReport, reportCsv, reportBlocker, entryOutcomes } from './lib/report.js';
+import { winnerAnnouncement } from './lib/announcement.js';
+import { newRecordId, mergePatch, storeRecord } from './lib/records.js';
+import { participantSummary, participantPage, listWithin, clip, entriesLabel, FIELD_LIMIT, DESCRIPTION_LIMIT, EMBED_LIMIT } from './lib/participants.js';
+import {
+  validateSchedule,
+  editableScheduleFields,
+  nextRunAt,
+  dueRun,
+  deriveClientSeeds,
+  commitClientSeeds
+} from './lib/scheduler.js';
+
 const DATA_DIR = path.resolve('./data');
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-const GIVEAWAYS_FILE = path.join(DATA_DIR, 'giveaways.json');
-const SETUPS_FILE = path.join(DATA_DIR, 'setups.json');
-if (!fs.existsSync(GIVEAWAYS_FILE)) fs.writeFileSync(GIVEAWAYS_FILE, JSON.stringify({}));
-if (!fs.existsSync(SETUPS_FILE)) fs.writeFileSync(SETUPS_FILE, JSON.stringify({}));
+const storage = await createStorage({ driver: process.env.STORAGE || 'json', dataDir: DATA_DIR, sqliteFile: process.env.SQLITE_FILE });
 
-let GIVEAWAYS = JSON.parse(fs.readFileSync(GIVEAWAYS_FILE, 'utf8') || '{}');
-let SETUPS = JSON.parse(fs.readFileSync(SETUPS_FILE, 'utf8') || '{}');
+// hot giveaways only; finished ones move to the archive after ARCHIVE_AFTER_DAYS (see archiveOldGiveaways)
+let GIVEAWAYS = storage.loadGiveaways();
+let SETUPS = storage.loadSetups();
+let SCHEDULES = storage.loadSchedules();
+let GUILD_SETTINGS = storage.loadGuildSettings();
+let WEBHOOKS = storage.loadWebhooks();
 
-function saveGiveaways() { fs.writeFileSync(GIVEAWAYS_FILE, JSON.stringify(GIVEAWAYS, null, 2)); }
-function saveSetups() { fs.writeFileSync(SETUPS_FILE, JSON.stringify(SETUPS, null, 2)); }
+function saveSetups() { storage.saveSetups(SETUPS); }
+function saveSchedules() { storage.saveSchedules(SCHEDULES); }
+function saveGuildSettings() { storage.saveGuildSettings(GUILD_SETTINGS); }
+function saveWebhooks() { storage.saveWebhooks(WEBHOOKS); }
+
+function guildSettings(guildId) {
+  return GUILD_SETTINGS[guildId] || defaultGuildSettings(guildId);
+}
 
 const BOT_TOKEN = process.env.BOT_TOKEN || '';
-const SERVER_SEED = process.env.SERVER_SEED || 'replace_with_64_char_key';
+const GUILD_ID = process.env.GUILD_ID || '';
+const GIVEAWAY_ADMIN_IDS = (process.env.GIVEAWAY_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
 const PORT = process.env.PORT ? parseInt(process.env.PORT) : 3000;
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const ALLOWED_ORIGINS = (process.env.WEB_ALLOWED_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+const ARCHIVE_AFTER_DAYS = process.env.ARCHIVE_AFTER_DAYS ? Number(process.env.ARCHIVE_AFTER_DAYS) : 7;
+// lets webhooks reach localhost and private networks; only for trying them out (webhook-receiver.js)
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === '1';
 
 const app = express();
-app.use(cors());
+// same-origin requests carry no Origin header; cross-origin browsers only get through from configured origins
+app.use(cors({ origin: (origin, cb) => cb(null, !origin || origin === PUBLIC_URL || ALLOWED_ORIGINS.includes(origin)), credentials: true }));
 app.use(bodyParser.json());
 app.use(express.static('public'));
 
-app.get('/api/setups', (req, res) => res.json(SETUPS));
-app.post('/api/setups', (req, res) => {
-  const id = `setup_${Date.now()}`;
-  const body = req.body || {};
-  // expected: name, description, collectDuration, baseEntries, roleEntries: [{roleId, entries}]
-  SETUPS[id] = { id, ...body };
+// Web auth: every /api route below needs a session or token, except login and the public verify routes
+const AUTH = new AuthStore(path.join(DATA_DIR, 'auth.json'));
+if (AUTH.isEmpty()) console.warn('No web UI accounts yet — create one with: npm run auth -- add-user <name> editor');
+app.use('/api', (req, res, next) => {
+  req.auth = AUTH.authenticate(req);
+  next();
+});
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ ok: false, error: 'login required' });
+    if (!roleAllows(req.auth.role, role)) return res.status(403).json({ ok: false, error: `${role} role required` });
+    next();
+  };
+}
+const viewer = requireRole('viewer');
+const editor = requireRole('editor');
+
+// Setups, schedules and settings belong to one guild: ?guild=<id> (or /api/guilds/:guildId/...).
+// Accounts limited to a single guild may leave it out.
+function inGuild(req, res, next) {
+  const only = req.auth.guilds.length === 1 ? req.auth.guilds[0] : '';
+  const guildId = String(req.params.guildId || req.query.guild || only).trim();
+  if (!SNOWFLAKE.test(guildId)) return res.status(400).json({ ok: false, error: 'pick a guild: ?guild=<server id>' });
+  if (!canAccessGuild(req.auth, guildId)) return res.status(403).json({ ok: false, error: 'no access to this guild' });
+  req.guildId = guildId;
+  next();
+}
+
+// Who changed what through the API, one JSON object per line in ./data/api-audit.log
+const API_AUDIT_FILE = path.join(DATA_DIR, 'api-audit.log');
+function recordApiWrite(req, action, target, details = {}) {
+  const row = { at: Date.now(), by: req.auth.name, via: req.auth.kind, role: req.auth.role, ip: req.ip, guildId: req.guildId || null, action, target, ...details };
+  fs.appendFileSync(API_AUDIT_FILE, `${JSON.stringify(row)}\n`);
+}
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const result = AUTH.login(String(username || ''), String(password || ''), req.ip);
+  if (!result.ok) return res.status(result.retryAfterMs ? 429 : 401).json({ ok: false, error: result.error });
+  res.cookie(SESSION_COOKIE, result.sid, { httpOnly: true, sameSite: 'strict', secure: PUBLIC_URL.startsWith('https:'), maxAge: result.session.expiresAt - Date.now() });
+  res.json({ ok: true, username, role: result.session.role });
+});
+app.post('/api/auth/logout', (req, res) => {
+  if (req.auth && req.auth.sid) AUTH.logout(req.auth.sid);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
+app.get('/api/auth/me', viewer, (req, res) => res.json({ ok: true, name: req.auth.name, role: req.auth.role, via: req.auth.kind, guilds: req.auth.guilds }));
+
+// true when everything `guilds` (a token's or account's list, [] = all) can reach, `auth` can reach too
+function coversGuilds(auth, guilds) {
+  if (!auth.guilds.length) return true;
+  return guilds.length > 0 && guilds.every(id => auth.guilds.includes(id));
+}
+
+// Access tokens for scripts and overlays; the plain token is only in the creation response.
+// Editors limited to some guilds only see and issue tokens within those guilds.
+app.get('/api/auth/tokens', editor, (req, res) => res.json({ ok: true, tokens: AUTH.listTokens().filter(t => coversGuilds(req.auth, t.guilds)) }));
+app.post('/api/auth/tokens', editor, (req, res) => {
+  const { name, role } = req.body || {};
+  const guilds = Array.isArray(req.body && req.body.guilds) && req.body.guilds.length ? req.body.guilds.map(String) : req.auth.guilds;
+  if (!coversGuilds(req.auth, guilds)) return res.status(403).json({ ok: false, error: 'a token cannot reach guilds you cannot' });
+  let issued;
+  try { issued = AUTH.issueToken(String(name || '').trim(), role, req.auth.name, guilds); } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+  recordApiWrite(req, 'token.issue', issued.id, { name, role, guilds });
+  res.json({ ok: true, ...issued });
+});
+app.delete('/api/auth/tokens/:id', editor, (req, res) => {
+  const token = AUTH.listTokens().find(t => t.id === req.params.id);
+  if (!token || !coversGuilds(req.auth, token.guilds)) return res.status(404).json({ ok: false, error: 'not found' });
+  AUTH.revokeToken(token.id);
+  recordApiWrite(req, 'token.revoke', req.params.id);
+  res.json({ ok: true });
+});
+app.get('/api/audit', editor, (req, res) => {
+  const lines = fs.existsSync(API_AUDIT_FILE) ? fs.readFileSync(API_AUDIT_FILE, 'utf8').trim().split('\n').filter(Boolean) : [];
+  const limit = Math.min(1000, parseInt(req.query.limit, 10) || 200);
+  const entries = lines.map(line => JSON.parse(line)).filter(row => !req.auth.guilds.length || req.auth.guilds.includes(row.guildId));
+  res.json({ ok: true, entries: entries.slice(-limit).reverse() });
+});
+
+// Guilds the login can manage: every server the bot is in plus any that already have settings or setups
+app.get('/api/guilds', viewer, (req, res) => {
+  const ids = new Set([...client.guilds.cache.keys(), ...Object.keys(GUILD_SETTINGS), ...Object.values(SETUPS).map(s => s.guildId).filter(Boolean)]);
+  const guilds = [...ids]
+    .filter(id => canAccessGuild(req.auth, id))
+    .map(id => {
+      const guild = client.guilds.cache.get(id);
+      return { id, name: guild ? guild.name : null, connected: !!guild };
+    })
+    .sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)));
+  res.json({ ok: true, guilds });
+});
+app.get('/api/guilds/:guildId/settings', viewer, inGuild, (req, res) => res.json({ ok: true, settings: guildSettings(req.guildId) }));
+app.put('/api/guilds/:guildId/settings', editor, inGuild, (req, res) => {
+  const { errors, settings } = validateGuildSettings(req.body);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'invalid settings', details: errors });
+  GUILD_SETTINGS[req.guildId] = { ...settings, guildId: req.guildId, updatedBy: req.auth.name, updatedAt: Date.now() };
+  saveGuildSettings();
+  recordApiWrite(req, 'guild.settings', req.guildId, { staffRoleIds: settings.staffRoleIds, defaultChannelId: settings.defaultChannelId, limits: settings.limits });
+  res.json({ ok: true, settings: GUILD_SETTINGS[req.guildId] });
+});
+
+// Setups: validated against lib/setupSchema.js, names unique per guild (case-insensitive), `version` bumps on every edit
+function setupNameTaken(name, guildId, exceptId = null) {
+  return Object.values(SETUPS).some(s => s.id !== exceptId && s.guildId === guildId && nameKey(s.name) === nameKey(name));
+}
+
+// "Name (copy)" -> "Name (copy)", "Name (copy) (2)", ... whichever is free
+function uniqueSetupName(base, guildId) {
+  let name = base;
+  for (let n = 2; setupNameTaken(name, guildId); n++) name = `${base} (${n})`;
+  return name;
+}
+
+// Validate `fields` and store them as setup `id` (new or replacing) in the request's guild.
+// Returns { setup } or { status, body } for the error response.
+function storeSetup(req, id, fields, extra = {}) {
+  const { errors, setup } = validateSetup(fields);
+  if (errors.length) return { status: 400, body: { ok: false, error: 'invalid setup', details: errors } };
+  if (setupNameTaken(setup.name, req.guildId, id)) return { status: 409, body: { ok: false, error: `a setup named "${setup.name}" already exists` } };
+  const existing = SETUPS[id];
+  const stored = storeRecord(SETUPS, id, { guildId: req.guildId, by: req.auth.name }, {
+    ...setup,
+    version: existing ? (existing.version || 1) + 1 : 1,
+    ...(existing && existing.joinRejections ? { joinRejections: existing.joinRejections } : {}),
+    ...extra
+  });
+  saveSetups();
+  return { setup: stored };
+}
+
+function newSetupId() {
+  return newRecordId(SETUPS, 'setup');
+}
+
+function guildSetups(guildId) {
+  return Object.values(SETUPS).filter(s => s.guildId === guildId);
+}
+
+// the setup named in the URL, if it belongs to the request's guild
+function setupInGuild(req) {
+  const setup = SETUPS[req.params.id];
+  return setup && setup.guildId === req.guildId ? setup : null;
+}
+
+app.get('/api/setups', viewer, inGuild, (req, res) => res.json(Object.fromEntries(guildSetups(req.guildId).map(s => [s.id, s]))));
+
+// Setups saved before multi-guild support have no guild yet; editors who can see every guild claim them
+app.get('/api/setups/unassigned', editor, (req, res) => {
+  if (req.auth.guilds.length) return res.json({ ok: true, setups: [] });
+  res.json({ ok: true, setups: Object.values(SETUPS).filter(s => !s.guildId) });
+});
+app.post('/api/setups/:id/assign', editor, inGuild, (req, res) => {
+  const setup = SETUPS[req.params.id];
+  if (!setup || setup.guildId || req.auth.guilds.length) return res.status(404).json({ ok: false, error: 'not found' });
+  if (setupNameTaken(setup.name, req.guildId)) setup.name = uniqueSetupName(setup.name, req.guildId);
+  setup.guildId = req.guildId;
+  for (const schedule of Object.values(SCHEDULES)) if (schedule.setupId === setup.id) schedule.guildId = req.guildId;
+  saveSetups();
+  saveSchedules();
+  recordApiWrite(req, 'setup.assign', setup.id, { name: setup.name });
+  res.json({ ok: true, setup });
+});
+
+// Bundle of setups for moving them between bots or guilds: ?ids=a,b (default: all of the guild's)
+app.get('/api/setups/export', viewer, inGuild, (req, res) => {
+  const ids = req.query.ids ? String(req.query.ids).split(',') : guildSetups(req.guildId).map(s => s.id);
+  const setups = ids.filter(id => SETUPS[id] && SETUPS[id].guildId === req.guildId).map(id => ({ id, ...editableFields(SETUPS[id]) }));
+  res.setHeader('Content-Disposition', `attachment; filename="giveaway-setups-${new Date().toISOString().slice(0, 10)}.json"`);
+  res.json({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), setups });
+});
+
+// Import a bundle into the guild; all-or-nothing. Name clashes: onConflict = skip (default) | rename | replace
+app.post('/api/setups/import', editor, inGuild, (req, res) => {
+  const { bundle, onConflict = 'skip' } = req.body || {};
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.setups)) return res.status(400).json({ ok: false, error: `not a ${BUNDLE_FORMAT} bundle` });
+  if (bundle.version > BUNDLE_VERSION) return res.status(400).json({ ok: false, error: `bundle version ${bundle.version} is newer than this bot understands` });
+  if (!['skip', 'rename', 'replace'].includes(onConflict)) return res.status(400).json({ ok: false, error: 'onConflict must be skip, rename or replace' });
+
+  const details = [];
+  const checked = bundle.setups.map((raw, i) => {
+    const { errors, setup } = validateSetup(raw);
+    details.push(...errors.map(e => `setups[${i}] ${e}`));
+    return { setup, sourceId: raw && raw.id };
+  });
+  const names = checked.map(c => c.setup && nameKey(c.setup.name));
+  names.forEach((n, i) => { if (n && names.indexOf(n) !== i) details.push(`setups[${i}] name: "${checked[i].setup.name}" appears more than once in the bundle`); });
+  if (details.length) return res.status(400).json({ ok: false, error: 'invalid setup', details });
+
+  const imported = [];
+  const skipped = [];
+  for (const { setup, sourceId } of checked) {
+    const clash = guildSetups(req.guildId).find(s => nameKey(s.name) === nameKey(setup.name));
+    if (clash && onConflict === 'skip') { skipped.push(setup.name); continue; }
+    if (clash && onConflict === 'rename') setup.name = uniqueSetupName(setup.name, req.guildId);
+    const id = clash && onConflict === 'replace' ? clash.id : newSetupId();
+    const result = storeSetup(req, id, setup, { importedFrom: sourceId || null });
+    if (!result.setup) { skipped.push(setup.name); continue; }
+    imported.push({ id: result.setup.id, name: result.setup.name, replaced: !!(clash && onConflict === 'replace') });
+  }
+  recordApiWrite(req, 'setup.import', imported.map(s => s.id).join(','), { onConflict, imported: imported.length, skipped: skipped.length });
+  res.json({ ok: true, imported, skipped });
+});
+
+app.get('/api/setups/:id', viewer, inGuild, (req, res) => {
+  const setup = setupInGuild(req);
+  if (!setup) return res.status(404).json({ ok: false, error: 'not found' });
+  res.json({ ok: true, setup });
+});
+app.post('/api/setups', editor, inGuild, (req, res) => {
+  const result = storeSetup(req, newSetupId(), req.body);
+  if (!result.setup) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'setup.create', result.setup.id, { name: result.setup.name });
+  res.json({ ok: true, id: result.setup.id, setup: result.setup });
+});
+// PUT replaces every editable field; PATCH only the ones it sends
+app.put('/api/setups/:id', editor, inGuild, (req, res) => updateSetup(req, res, req.body));
+app.patch('/api/setups/:id', editor, inGuild, (req, res) => updateSetup(req, res, mergePatch(editableFields(setupInGuild(req) || {}), req.body)));
+function updateSetup(req, res, fields) {
+  const existing = setupInGuild(req);
+  if (!existing) return res.status(404).json({ ok: false, error: 'not found' });
+  const before = editableFields(existing);
+  const result = storeSetup(req, existing.id, fields);
+  if (!result.setup) return res.status(result.status).json(result.body);
+  const after = editableFields(result.setup);
+  const changed = Object.keys(after).filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+  recordApiWrite(req, `setup.${req.method.toLowerCase()}`, result.setup.id, { name: result.setup.name, version: result.setup.version, changed });
+  res.json({ ok: true, id: result.setup.id, setup: result.setup });
+}
+app.post('/api/setups/:id/clone', editor, inGuild, (req, res) => {
+  const source = setupInGuild(req);
+  if (!source) return res.status(404).json({ ok: false, error: 'not found' });
+  const name = req.body && req.body.name ? String(req.body.name) : uniqueSetupName(`${source.name} (copy)`, req.guildId);
+  const result = storeSetup(req, newSetupId(), { ...editableFields(source), name }, { clonedFrom: source.id });
+  if (!result.setup) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'setup.clone', result.setup.id, { name: result.setup.name, from: source.id });
+  res.json({ ok: true, id: result.setup.id, setup: result.setup });
+});
+app.delete('/api/setups/:id', editor, inGuild, (req, res) => {
+  const setup = setupInGuild(req);
+  if (!setup) return res.status(404).json({ ok: false, error: 'not found' });
+  const usedBy = Object.values(SCHEDULES).filter(sc => sc.setupId === setup.id).map(sc => sc.id);
+  if (usedBy.length) return res.status(409).json({ ok: false, error: `setup is used by schedule(s) ${usedBy.join(', ')} — delete those first` });
+  recordApiWrite(req, 'setup.delete', setup.id, { name: setup.name });
+  delete SETUPS[setup.id];
   saveSetups();
-  res.json({ ok: true, id, setup: SETUPS[id] });
+  res.json({ ok: true });
+});
+
+// Scheduled giveaways (lib/scheduler.js). nextRunAt is recomputed on every save; committed client seeds
+// never leave the server, responses carry their SHA-256 instead.
+const SCHEDULE_RUNS_KEPT = 20;
+
+function publicSchedule(schedule) {
+  const { clientSeed1, clientSeed2, ...rest } = schedule;
+  return {
+    ...rest,
+    setupName: SETUPS[schedule.setupId] ? SETUPS[schedule.setupId].name : null,
+    clientSeedsHash: schedule.autoRun === 'committed' ? commitClientSeeds(clientSeed1, clientSeed2) : null
+  };
+}
+
+// Validate `fields` and store them as schedule `id` (new or replacing) in the request's guild; { schedule } or { status, body }
+function storeSchedule(req, id, fields) {
+  const { errors, schedule } = validateSchedule(fields);
+  const setup = schedule && SETUPS[schedule.setupId];
+  if (schedule && schedule.setupId && (!setup || setup.guildId !== req.guildId)) errors.push(`setupId: no setup with id "${schedule.setupId}" in this server`);
+  const channel = schedule && schedule.channelId && client.channels.cache.get(schedule.channelId);
+  if (channel && channel.guildId !== req.guildId) errors.push('channelId: that channel is in another server');
+  if (errors.length) return { status: 400, body: { ok: false, error: 'invalid schedule', details: errors } };
+  const next = nextRunAt(schedule);
+  if (schedule.enabled && !next) return { status: 400, body: { ok: false, error: 'invalid schedule', details: ['date: that time has already passed'] } };
+  const existing = SCHEDULES[id];
+  const stored = storeRecord(SCHEDULES, id, { guildId: req.guildId, by: req.auth.name }, {
+    ...schedule,
+    nextRunAt: schedule.enabled ? next : null,
+    lastRunAt: existing ? existing.lastRunAt : null,
+    runs: existing ? existing.runs : []
+  });
+  saveSchedules();
+  return { schedule: stored };
+}
+
+function scheduleInGuild(req) {
+  const schedule = SCHEDULES[req.params.id];
+  return schedule && schedule.guildId === req.guildId ? schedule : null;
+}
+
+app.get('/api/schedules', viewer, inGuild, (req, res) => {
+  const schedules = Object.values(SCHEDULES)
+    .filter(schedule => schedule.guildId === req.guildId)
+    .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity))
+    .map(publicSchedule);
+  res.json({ ok: true, schedules });
+});
+app.post('/api/schedules', editor, inGuild, (req, res) => {
+  const id = newRecordId(SCHEDULES, 'sched');
+  const result = storeSchedule(req, id, req.body);
+  if (!result.schedule) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'schedule.create', id, { setupId: result.schedule.setupId, nextRunAt: result.schedule.nextRunAt });
+  res.json({ ok: true, id, schedule: publicSchedule(result.schedule) });
+});
+// { enabled: false } pauses a schedule
+app.patch('/api/schedules/:id', editor, inGuild, (req, res) => {
+  const existing = scheduleInGuild(req);
+  if (!existing) return res.status(404).json({ ok: false, error: 'not found' });
+  const result = storeSchedule(req, existing.id, mergePatch(editableScheduleFields(existing), req.body));
+  if (!result.schedule) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'schedule.patch', existing.id, { changed: Object.keys(req.body || {}), nextRunAt: result.schedule.nextRunAt });
+  res.json({ ok: true, id: existing.id, schedule: publicSchedule(result.schedule) });
+});
+app.delete('/api/schedules/:id', editor, inGuild, (req, res) => {
+  const schedule = scheduleInGuild(req);
+  if (!schedule) return res.status(404).json({ ok: false, error: 'not found' });
+  recordApiWrite(req, 'schedule.delete', schedule.id, { setupId: schedule.setupId });
+  delete SCHEDULES[schedule.id];
+  saveSchedules();
+  res.json({ ok: true });
+});
+
+// Outbound webhooks (lib/webhooks.js), managed by the guild's editors. The signing secret is only in the
+// create and rotate responses.
+const webhooks = new WebhookDispatcher({
+  webhooks: () => WEBHOOKS,
+  load: () => storage.loadWebhookDeliveries(),
+  save: (changed, removedIds) => storage.saveWebhookDeliveries(changed, removedIds),
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS
+});
+
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  const [last] = webhooks.list(webhook.id, 1);
+  return {
+    ...rest,
+    secretHint: `…${secret.slice(-4)}`,
+    lastDelivery: last ? { id: last.id, type: last.type, status: last.status, createdAt: last.createdAt, attempts: last.attempts.length } : null
+  };
+}
+
+// Validate `fields` and store them as webhook `id` (new or replacing) in the request's guild; { webhook } or { status, body }
+function storeWebhook(req, id, fields) {
+  const { errors, webhook } = validateWebhook(fields, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+  if (errors.length) return { status: 400, body: { ok: false, error: 'invalid webhook', details: errors } };
+  const existing = WEBHOOKS[id];
+  const stored = storeRecord(WEBHOOKS, id, { guildId: req.guildId, by: req.auth.name }, {
+    ...webhook,
+    secret: existing ? existing.secret : newWebhookSecret()
+  });
+  saveWebhooks();
+  return { webhook: stored };
+}
+
+function webhookInGuild(req) {
+  const webhook = WEBHOOKS[req.params.id];
+  return webhook && webhook.guildId === req.guildId ? webhook : null;
+}
+
+app.get('/api/webhooks', editor, inGuild, (req, res) => {
+  const list = Object.values(WEBHOOKS).filter(webhook => webhook.guildId === req.guildId).map(publicWebhook);
+  res.json({ ok: true, webhooks: list, events: WEBHOOK_EVENTS });
+});
+app.post('/api/webhooks', editor, inGuild, (req, res) => {
+  const id = newRecordId(WEBHOOKS, 'wh');
+  const result = storeWebhook(req, id, req.body);
+  if (!result.webhook) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'webhook.create', id, { url: result.webhook.url, events: result.webhook.events });
+  res.json({ ok: true, id, webhook: publicWebhook(result.webhook), secret: result.webhook.secret });
 });
-app.delete('/api/setups/:id', (req, res) => {
-  const id = req.params.id;
-  if (SETUPS[id]) { delete SETUPS[id]; saveSetups(); res.json({ ok: true }); }
-  else res.status(404).json({ ok: false, error: 'not found' });
+// { enabled: false } pauses a webhook
+app.patch('/api/webhooks/:id', editor, inGuild, (req, res) => {
+  const existing = webhookInGuild(req);
+  if (!existing) return res.status(404).json({ ok: false, error: 'not found' });
+  const result = storeWebhook(req, existing.id, mergePatch(editableWebhookFields(existing), req.body));
+  if (!result.webhook) return res.status(result.status).json(result.body);
+  recordApiWrite(req, 'webhook.patch', existing.id, { changed: Object.keys(req.body || {}) });
+  res.json({ ok: true, id: existing.id, webhook: publicWebhook(result.webhook) });
+});
+app.delete('/api/webhooks/:id', editor, inGuild, (req, res) => {
+  const webhook = webhookInGuild(req);
+  if (!webhook) return res.status(404).json({ ok: false, error: 'not found' });
+  recordApiWrite(req, 'webhook.delete', webhook.id, { url: webhook.url });
+  delete WEBHOOKS[webhook.id];
+  saveWebhooks();
+  webhooks.forget(webhook.id);
+  res.json({ ok: true });
+});
+app.post('/api/webhooks/:id/secret', editor, inGuild, (req, res) => {
+  const webhook = webhookInGuild(req);
+  if (!webhook) return res.status(404).json({ ok: false, error: 'not found' });
+  webhook.secret = newWebhookSecret();
+  webhook.updatedBy = req.auth.name;
+  webhook.updatedAt = Date.now();
+  saveWebhooks();
+  recordApiWrite(req, 'webhook.rotate_secret', webhook.id);
+  res.json({ ok: true, id: webhook.id, secret: webhook.secret });
+});
+app.post('/api/webhooks/:id/test', editor, inGuild, (req, res) => {
+  const webhook = webhookInGuild(req);
+  if (!webhook) return res.status(404).json({ ok: false, error: 'not found' });
+  const delivery = webhooks.ping(webhook);
+  recordApiWrite(req, 'webhook.test', webhook.id, { delivery: delivery.id, url: webhook.url });
+  res.json({ ok: true, delivery });
+});
+app.get('/api/webhooks/:id/deliveries', editor, inGuild, (req, res) => {
+  const webhook = webhookInGuild(req);
+  if (!webhook) return res.status(404).json({ ok: false, error: 'not found' });
+  const limit = Math.min(500, parseInt(req.query.limit, 10) || 50);
+  res.json({ ok: true, deliveries: webhooks.list(webhook.id, limit) });
+});
+app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', editor, inGuild, (req, res) => {
+  const webhook = webhookInGuild(req);
+  const delivery = webhook && webhooks.get(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== webhook.id) return res.status(404).json({ ok: false, error: 'not found' });
+  const replay = webhooks.replay(delivery);
+  recordApiWrite(req, 'webhook.replay', webhook.id, { delivery: delivery.id, replay: replay.id, type: delivery.type });
+  res.json({ ok: true, delivery: replay });
+});
+
+// Preview the entries a sample member would get under a setup's weighting
+app.post('/api/entries/preview', viewer, (req, res) => {
+  const { setup, roleIds, isBooster, joinedAt } = req.body || {};
+  const weighting = normalizeWeighting(setup || {});
+  const joined = joinedAt ? Date.parse(joinedAt) : null;
+  const result = computeEntryCount(weighting, {
+    roleIds: Array.isArray(roleIds) ? roleIds.map(String) : [],
+    isBooster: !!isBooster,
+    joinedAt: Number.isNaN(joined) ? null : joined
+  });
+  res.json({ ok: true, weighting, result });
+});
+
+// Giveaways for the dashboard, newest first; ?state=collecting,running filters by state,
+// ?guild=<id> by server, ?archived=1 adds archived giveaways (their summaries carry `archivedAt`).
+// Giveaways from before multi-guild support have no guildId and are only listed for unrestricted logins.
+app.get('/api/giveaways', viewer, (req, res) => {
+  const states = req.query.state ? String(req.query.state).split(',') : null;
+  const guild = req.query.guild ? String(req.query.guild) : null;
+  const summaries = Object.values(GIVEAWAYS).filter(gw => gw && gw.id).map(giveawaySummary);
+  if (req.query.archived === '1') summaries.push(...storage.listArchivedGiveaways());
+  const giveaways = summaries
+    .filter(gw => canAccessGuild(req.auth, gw.guildId) && (!guild || gw.guildId === guild))
+    .filter(gw => !states || states.includes(gw.state))
+    .sort((a, b) => b.startAt - a.startAt);
+  res.json({ ok: true, giveaways });
+});
+app.get('/api/giveaways/:id', viewer, (req, res) => {
+  const gw = getGiveaway(req.params.id);
+  if (!gw || !canAccessGuild(req.auth, gw.guildId)) return res.status(404).json({ ok: false, error: 'not found' });
+  res.json({ ok: true, giveaway: giveawayDetail(gw) });
+});
+
+// Audit report of a drawn giveaway: ?format=json (default) or csv, sent as a download
+app.get('/api/giveaways/:id/report', viewer, (req, res) => {
+  const gw = getGiveaway(req.params.id);
+  if (!gw || !canAccessGuild(req.auth, gw.guildId)) return res.status(404).json({ ok: false, error: 'not found' });
+  const blocker = reportBlocker(gw);
+  if (blocker) return res.status(409).json({ ok: false, error: blocker });
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const report = buildReport(gw);
+  res.setHeader('Content-Disposition', `attachment; filename="${gw.id}-report.${format}"`);
+  if (format === 'json') return res.json(report);
+  res.type('text/csv').send(reportCsv(report));
+});
+
+// Replay a finished giveaway from its stored (revealed) seeds (public: linked from Discord)
+app.get('/api/giveaways/:id/verify', (req, res) => {
+  const gw = getGiveaway(req.params.id);
+  if (!gw) return res.status(404).json({ ok: false, error: 'not found' });
+  if (!gw.winner) return res.status(409).json({ ok: false, error: 'giveaway has not been drawn yet' });
+  if (gw.seedCommitment && !gw.seedCommitment.revealedAt) return res.status(409).json({ ok: false, error: 'server seed not revealed yet' });
+  const result = buildVerification({ serverSeed: gw.serverSeed, clientSeed1: gw.clientSeed1, clientSeed2: gw.clientSeed2, entries: gw.entries, prizeConfig: gw.prizeConfig, schedule: gw.schedule || DEFAULT_SCHEDULE, rerolls: gw.rerolls });
+  const storedWinnerIds = winnersOf(gw).map(w => w.id);
+  res.json({
+    ok: true,
+    giveawayId: gw.id,
+    setupName: gw.setup && gw.setup.name,
+    committedHash: gw.serverSeedHash || null,
+    commitmentValid: gw.serverSeedHash ? gw.serverSeedHash === result.serverSeedHash : null,
+    storedWinnerIds,
+    match: sameIds(result.winners.map(w => w.id), storedWinnerIds),
+    ...result
+  });
+});
+
+// Replay arbitrary seeds + entry list (for checking a published result)
+app.post('/api/verify', (req, res) => {
+  const { serverSeed, clientSeed1, clientSeed2, entries, serverSeedHash, expectedWinnerIds, winnerCount, allowMultipleWins, rerolls, schedule } = req.body || {};
+  if (!serverSeed || !clientSeed1 || !clientSeed2) return res.status(400).json({ ok: false, error: 'serverSeed, clientSeed1 and clientSeed2 are required' });
+  if (!Array.isArray(entries) || entries.length === 0) return res.status(400).json({ ok: false, error: 'entries must be a non-empty array' });
+  const parsedSchedule = parseSchedule(schedule);
+  if (parsedSchedule.errors.length) return res.status(400).json({ ok: false, error: parsedSchedule.errors.join('; ') });
+  // accept either entry objects ({id, userId}) or bare entry ids
+  const rows = entries.map(e => (typeof e === 'object' && e !== null ? e : { id: String(e) }));
+  const prizeConfig = normalizePrizeConfig({ winnerCount, allowMultipleWins });
+  // rerolls: [{ nonce, place }] in the order they happened
+  const rerollList = Array.isArray(rerolls) ? rerolls.map(r => ({ nonce: parseInt(r.nonce, 10), place: parseInt(r.place, 10) })).filter(r => r.nonce > 0 && r.place > 0) : [];
+  const result = buildVerification({ serverSeed: String(serverSeed), clientSeed1: String(clientSeed1), clientSeed2: String(clientSeed2), entries: rows, prizeConfig, schedule: parsedSchedule.schedule, rerolls: rerollList });
+  const expected = Array.isArray(expectedWinnerIds) ? expectedWinnerIds.map(String) : [];
+  res.json({
+    ok: true,
+    committedHash: serverSeedHash || null,
+    commitmentValid: serverSeedHash ? serverSeedHash === result.serverSeedHash : null,
+    storedWinnerIds: expected,
+    match: expected.length ? sameIds(result.winners.map(w => w.id), expected) : null,
+    ...result
+  });
 });
 app.get('/', (req, res) => res.sendFile(path.join(process.cwd(), 'public', 'index.html')));
 
 const server = http.createServer(app);
+const liveHub = new LiveHub(server, { authenticate: req => AUTH.authenticate(req, { allowQueryToken: true }) });
 server.listen(PORT, () => console.log(`Web UI running at http://localhost:${PORT}`));
 
 // Discord client
@@ -91,72 +681,883 @@ const client = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.GuildMembers],
   partials: [Partials.Channel, Partials.Message]
 });
+const renderer = new MessageRenderer(client);
 
-let restarting = false;
-async function tryRestartClient() {
-  if (restarting) return;
-  restarting = true;
-  console.warn('Attempting to restart Discord client...');
-  try { await client.destroy(); } catch (e) { console.warn('destroy error', e); }
-  setTimeout(async () => {
-    try {
-      await client.login(BOT_TOKEN);
-      console.log('Client restarted successfully');
-    } catch (err) {
-      console.error('Restart failed:', err);
-      setTimeout(() => { restarting = false; tryRestartClient(); }, 5000);
-    }
-    restarting = false;
-  }, 2000);
+function sameIds(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
 }
 
-// HMAC -> float in [0,1)
-function hmacFloat(serverSeed, message) {
-  const h = crypto.createHmac('sha512', serverSeed).update(message).digest('hex');
-  const prefix = h.slice(0, 13); // 13 hex chars -> up to 52 bits
-  const intVal = parseInt(prefix, 16);
-  const denom = Math.pow(16, 13);
-  return intVal / denom;
+// Stored winners as an ordered list (giveaways drawn before prize tiers stored a single entry)
+function winnersOf(gw) {
+  if (Array.isArray(gw.winner)) return gw.winner;
+  return gw.winner ? [{ place: 1, prize: 'Winner', ...gw.winner }] : [];
 }
 
-function makeParticipantsDescription(entries) {
+// Live dashboard feed (GET /api/giveaways, /ws). The server seed stays out of everything the web UI sees
+// until it has been revealed in Discord.
+const DRAW_PROGRESS = new Map(); // gwId -> last finished round of a running draw
+
+function countByUser(entries) {
   const byUser = {};
   for (const e of entries) byUser[e.userId] = (byUser[e.userId] || 0) + 1;
-  const lines = Object.entries(byUser).slice(0, 100).map(([uid, count]) => `• <@${uid}> — ${count} entries`);
-  return lines.join('\n') || 'No participants yet.';
-}
-
-// Join queue (1 join per second)
-class JoinQueue {
-  constructor() { this.queue = []; this.processing = false; }
-  push(task) { this.queue.push(task); this.startProcessing(); }
-  startProcessing() {
-    if (this.processing) return;
-    this.processing = true;
-    (async () => {
-      while (this.queue.length) {
-        const t = this.queue.shift();
-        try { await t(); } catch (e) { console.error('Error processing join task', e); }
-        await new Promise(r => setTimeout(r, 1000));
-      }
-      this.processing = false;
-    })();
+  return byUser;
+}
+
+function giveawaySummary(gw) {
+  const revealed = !!(gw.seedCommitment && gw.seedCommitment.revealedAt);
+  return {
+    id: gw.id,
+    setupId: gw.setupId,
+    setupName: gw.setup && gw.setup.name,
+    state: gw.state,
+    guildId: gw.guildId || null,
+    channelId: gw.channelId,
+    scheduleId: gw.scheduleId || null,
+    createdBy: gw.createdBy || null,
+    startAt: gw.startAt,
+    endAt: gw.endAt,
+    finishedAt: gw.finishedAt || null,
+    cancelledAt: gw.cancelledAt || null,
+    entryCount: gw.entries.length,
+    participantCount: Object.keys(gw.entrantsByUser || {}).length,
+    winnerCount: gw.prizeConfig ? gw.prizeConfig.winnerCount : 1,
+    serverSeedHash: gw.serverSeedHash || null,
+    serverSeed: revealed ? gw.serverSeed : null,
+    // winners only once they have been announced
+    winners: gw.state === 'finished' ? winnersOf(gw).map(serializeWinner) : []
+  };
+}
+
+function giveawayDetail(gw) {
+  const usernames = {};
+  for (const e of gw.entries) if (!usernames[e.userId]) usernames[e.userId] = e.username || null;
+  const participants = Object.entries(gw.entrantsByUser || {}).map(([userId, entries]) => ({ userId, username: usernames[userId] || null, entries }));
+  return {
+    ...giveawaySummary(gw),
+    description: gw.setup && gw.setup.description,
+    setupVersion: gw.setupVersion || null,
+    prizeConfig: gw.prizeConfig || null,
+    schedule: gw.schedule || null,
+    clientSeed1: gw.clientSeed1,
+    clientSeed2: gw.clientSeed2,
+    stateHistory: gw.stateHistory || [],
+    rerolls: gw.state === 'finished' ? (gw.rerolls || []) : [],
+    claims: currentClaims(gw),
+    participants,
+    drawProgress: DRAW_PROGRESS.get(gw.id) || null
+  };
+}
+
+// Lifecycle events (lib/events.js): the dashboard feed and the webhooks both listen
+const events = new EventBus();
+events.subscribe(event => {
+  const type = LIVE_TYPES[event.type];
+  if (type) liveHub.broadcast(event.giveawayId, { type, giveaway: event.giveaway, ...event.data }, event.guildId);
+});
+events.subscribe(event => webhooks.dispatch(event));
+
+function emitEvent(gw, type, data = {}) {
+  events.emit(type, { giveawayId: gw.id, guildId: gw.guildId || null, giveaway: giveawaySummary(gw), data });
+}
+
+// Push one timeline event of a running draw to the dashboard (the winners go out with the announcement)
+function publishDrawEvent(gw, plan, event) {
+  const round = plan.rounds[event.roundIndex];
+  if (event.type === 'start') {
+    emitEvent(gw, 'giveaway.draw_started', { remaining: event.remaining });
+  } else if (event.type === 'preview') {
+    emitEvent(gw, 'giveaway.draw_progress', { round: round.round, stage: round.stage || null, progress: event.progress, remaining: event.remaining });
+  } else if (event.type === 'round_end' || event.type === 'stage_end') {
+    const progress = {
+      round: round.round,
+      stage: round.stage || null,
+      eliminated: event.eliminated,
+      remaining: event.remaining,
+      remainingByUser: countByUser(plan.ordered.slice(0, event.remaining))
+    };
+    DRAW_PROGRESS.set(gw.id, progress);
+    emitEvent(gw, 'giveaway.round_finished', progress);
+  }
+}
+
+// Joins are acknowledged right away with a deferred ephemeral reply, then applied in per-giveaway batches
+// (one persist per batch) and confirmed with a follow-up. Interaction tokens stay valid for 15 minutes
+// after the deferral, so a burst only delays the confirmation, never the acknowledgement.
+const JOIN_BATCH_MS = 1000;
+const JOIN_BATCH_SIZE = 50;
+
+class JoinBatcher {
+  constructor(apply) { this.apply = apply; this.queues = new Map(); this.busy = new Set(); this.timer = null; }
+  push(gwId, join) {
+    if (!this.queues.has(gwId)) this.queues.set(gwId, []);
+    this.queues.get(gwId).push(join);
+    if (!this.timer) this.timer = setInterval(() => this.tick(), JOIN_BATCH_MS);
+  }
+  // joins for this giveaway that are queued or being applied right now
+  pending(gwId) {
+    return (this.queues.get(gwId) || []).length + (this.busy.has(gwId) ? 1 : 0);
+  }
+  tick() {
+    for (const [gwId, queue] of this.queues) {
+      if (this.busy.has(gwId)) continue;
+      if (!queue.length) { this.queues.delete(gwId); continue; }
+      const batch = queue.splice(0, JOIN_BATCH_SIZE);
+      this.busy.add(gwId);
+      this.apply(gwId, batch)
+        .catch(e => console.error('Error processing join batch', e))
+        .finally(() => this.busy.delete(gwId));
+    }
+    if (!this.queues.size && !this.busy.size) { clearInterval(this.timer); this.timer = null; }
+  }
+}
+const joinBatcher = new JoinBatcher(processJoinBatch);
+const PENDING_JOINS = new Set(); // `${gwId}:${userId}` queued but not processed yet
+
+// Member data used by eligibility and weighting: { roleIds, isBooster, joinedTimestamp, cachedAt }.
+// Snapshots come with the button click; the gateway is only asked for members we don't have.
+const MEMBER_CACHE = new Map(); // `${guildId}:${userId}` -> snapshot
+const MEMBER_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function rememberMember(guildId, member) {
+  const snapshot = { roleIds: new Set(member.roles.cache.keys()), isBooster: !!member.premiumSince, joinedTimestamp: member.joinedTimestamp, cachedAt: Date.now() };
+  MEMBER_CACHE.set(`${guildId}:${member.id}`, snapshot);
+  return snapshot;
+}
+
+function cachedMember(guildId, userId) {
+  const key = `${guildId}:${userId}`;
+  const snapshot = MEMBER_CACHE.get(key);
+  if (snapshot && Date.now() - snapshot.cachedAt < MEMBER_CACHE_TTL_MS) return snapshot;
+  MEMBER_CACHE.delete(key);
+  return null;
+}
+
+// fill in join.member for a batch with one gateway request per guild
+async function loadMembers(batch) {
+  const missing = batch.filter(j => !j.member && j.guild);
+  if (!missing.length) return;
+  const guild = missing[0].guild;
+  const fetched = await guild.members.fetch({ user: missing.map(j => j.userId) }).catch(e => { console.warn('member fetch failed for join batch', e); return null; });
+  for (const join of missing) {
+    const member = fetched && fetched.get(join.userId);
+    if (member) join.member = rememberMember(guild.id, member);
+  }
+  if (MEMBER_CACHE.size > 10000) {
+    for (const [key, snapshot] of MEMBER_CACHE) if (Date.now() - snapshot.cachedAt >= MEMBER_CACHE_TTL_MS) MEMBER_CACHE.delete(key);
+  }
+}
+
+// Apply one join; returns the confirmation text for the user
+function applyJoin(gw, join) {
+  // a click that landed before the deadline still counts if its batch runs just after it
+  const open = gw && (gw.state === 'collecting' || (gw.state === 'awaiting_seeds' && join.clickedAt <= gw.endAt));
+  if (!open) return 'Collection ended before your join was processed.';
+  if (gw.entrantsByUser[join.userId]) return `You have already joined this giveaway with ${gw.entrantsByUser[join.userId]} entries.`;
+
+  const verdict = checkEligibility(normalizeEligibility(gw.setup), join.user, join.member);
+  if (!verdict.ok) {
+    recordJoinRejection(gw, verdict.reason);
+    return `You can't join this giveaway: ${verdict.message}`;
+  }
+
+  // compute entry count with the giveaway's weighting policy
+  gw.weighting = gw.weighting || normalizeWeighting(gw.setup);
+  const weight = computeEntryCount(gw.weighting, join.member ? {
+    roleIds: [...join.member.roleIds],
+    isBooster: join.member.isBooster,
+    joinedAt: join.member.joinedTimestamp
+  } : {});
+  gw.entryAudit = gw.entryAudit || {};
+  gw.entryAudit[join.userId] = weight;
+
+  for (let i = 0; i < weight.count; i++) {
+    gw.entries.push({ id: `e_${Date.now()}_${Math.random().toString(36).slice(2,8)}`, userId: join.userId, username: join.username });
+  }
+  gw.entrantsByUser[join.userId] = weight.count;
+  emitEvent(gw, 'giveaway.joined', { userId: join.userId, username: join.username, entries: weight.count });
+  return `You joined the giveaway with ${weight.count} entries.`;
+}
+
+async function processJoinBatch(gwId, batch) {
+  const gw = GIVEAWAYS[gwId];
+  const replies = [];
+  try {
+    if (gw) await loadMembers(batch);
+    for (const join of batch) replies.push([join, applyJoin(gw, join)]);
+    if (gw) {
+      persistGiveaway(gwId);
+      refreshGiveaway(gw);
+    }
+    if (setupsChanged) {
+      setupsChanged = false;
+      saveSetups();
+    }
+  } finally {
+    for (const join of batch) PENDING_JOINS.delete(join.key);
+  }
+  await Promise.allSettled(replies.map(([join, content]) => replyJoin(join, content)));
+}
+
+// follow up on the deferred reply; if the deferral never went through, try a plain reply
+async function replyJoin(join, content) {
+  const acked = await join.ack;
+  try {
+    if (acked) await join.interaction.followUp({ content, ephemeral: true });
+    else await join.interaction.reply({ content, ephemeral: true });
+  } catch (e) {
+    // best effort: the join itself is already stored
+    console.warn('reply/followUp failed for join', e.code || e);
+  }
+}
+
+// Eligibility rules for a setup, with defaults (0 / empty = no restriction)
+function normalizeEligibility(setup = {}) {
+  const rules = setup.eligibility || {};
+  const ids = list => (Array.isArray(list) ? list.map(id => String(id).trim()).filter(Boolean) : []);
+  return {
+    minAccountAgeDays: Math.max(0, Number(rules.minAccountAgeDays) || 0),
+    minServerAgeDays: Math.max(0, Number(rules.minServerAgeDays) || 0),
+    requiredRoles: ids(rules.requiredRoles), // member needs every one of these
+    excludedRoles: ids(rules.excludedRoles), // any one of these blocks the join
+    blacklist: ids(rules.blacklist)
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { ok: true } or { ok: false, reason, message } for a joining user
+function checkEligibility(rules, user, member) {
+  if (rules.blacklist.includes(user.id)) return { ok: false, reason: 'blacklisted', message: 'you are not allowed to enter giveaways from this setup.' };
+  if (rules.minAccountAgeDays && Date.now() - user.createdTimestamp < rules.minAccountAgeDays * DAY_MS) {
+    return { ok: false, reason: 'account_too_new', message: `your Discord account must be at least ${rules.minAccountAgeDays} days old.` };
+  }
+  const needsMember = rules.minServerAgeDays || rules.requiredRoles.length || rules.excludedRoles.length;
+  if (!needsMember) return { ok: true };
+  if (!member) return { ok: false, reason: 'member_unavailable', message: 'your server membership could not be checked, please try again.' };
+  if (rules.minServerAgeDays && Date.now() - member.joinedTimestamp < rules.minServerAgeDays * DAY_MS) {
+    return { ok: false, reason: 'member_too_new', message: `you must have been in this server for at least ${rules.minServerAgeDays} days.` };
+  }
+  const missing = rules.requiredRoles.filter(roleId => !member.roleIds.has(roleId));
+  if (missing.length) return { ok: false, reason: 'missing_role', message: `you need the role(s) ${missing.map(id => `<@&${id}>`).join(', ')}.` };
+  const excluded = rules.excludedRoles.find(roleId => member.roleIds.has(roleId));
+  if (excluded) return { ok: false, reason: 'excluded_role', message: `members with <@&${excluded}> cannot enter.` };
+  return { ok: true };
+}
+
+// Entry weighting: how base entries and bonus sources (roles, boosting, early membership) combine.
+//  max            -> the best single source (or base)
+//  additive       -> base + every source
+//  multiplicative -> base * every source
+// A roleEntries row may carry `cap`: the most entries any holder of that role can end up with.
+function toCount(value, fallback) {
+  const n = Number(value);
+  return value !== '' && value !== null && Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function normalizeWeighting(setup = {}) {
+  const w = setup.weighting || {};
+  const earlyDate = w.earlyMemberBefore ? Date.parse(w.earlyMemberBefore) : NaN;
+  return {
+    policy: WEIGHTING_POLICIES.includes(w.policy) ? w.policy : 'max',
+    baseEntries: Math.max(1, toCount(setup.baseEntries, 1)),
+    roleEntries: (Array.isArray(setup.roleEntries) ? setup.roleEntries : [])
+      .filter(re => re && re.roleId)
+      .map(re => ({ roleId: String(re.roleId), entries: toCount(re.entries, 0), cap: toCount(re.cap, 0) }))
+      .filter(re => re.entries || re.cap),
+    boosterEntries: toCount(w.boosterEntries, 0),
+    earlyMemberBefore: Number.isNaN(earlyDate) ? null : new Date(earlyDate).toISOString(),
+    earlyMemberEntries: toCount(w.earlyMemberEntries, 0),
+    maxPerUser: Math.min(MAX_ENTRIES_PER_USER, toCount(w.maxPerUser, 0) || MAX_ENTRIES_PER_USER)
+  };
+}
+
+// Entry count for one user: { count, uncapped, cap, policy, sources: [{ source, value }] }
+function computeEntryCount(weighting, { roleIds = [], isBooster = false, joinedAt = null } = {}) {
+  const roles = new Set(roleIds);
+  const sources = [];
+  for (const re of weighting.roleEntries) {
+    if (roles.has(re.roleId) && re.entries) sources.push({ source: `role:${re.roleId}`, value: re.entries });
+  }
+  if (isBooster && weighting.boosterEntries) sources.push({ source: 'booster', value: weighting.boosterEntries });
+  if (weighting.earlyMemberBefore && weighting.earlyMemberEntries && joinedAt && joinedAt < Date.parse(weighting.earlyMemberBefore)) {
+    sources.push({ source: 'early_member', value: weighting.earlyMemberEntries });
   }
+
+  const base = weighting.baseEntries;
+  let uncapped;
+  if (weighting.policy === 'additive') uncapped = sources.reduce((n, s) => n + s.value, base);
+  else if (weighting.policy === 'multiplicative') uncapped = sources.reduce((n, s) => n * s.value, base);
+  else uncapped = Math.max(base, ...sources.map(s => s.value));
+
+  const roleCaps = weighting.roleEntries.filter(re => roles.has(re.roleId) && re.cap).map(re => re.cap);
+  const cap = Math.min(weighting.maxPerUser, ...roleCaps);
+  return { count: Math.max(1, Math.min(uncapped, cap)), uncapped, cap, policy: weighting.policy, sources };
+}
+
+// Rejected-join counters live on the setup: { total, byReason: { [reason]: count } }; processJoinBatch saves them
+let setupsChanged = false;
+function recordJoinRejection(gw, reason) {
+  const setup = SETUPS[gw.setupId];
+  if (!setup) return;
+  setup.joinRejections = setup.joinRejections || { total: 0, byReason: {} };
+  setup.joinRejections.total++;
+  setup.joinRejections.byReason[reason] = (setup.joinRejections.byReason[reason] || 0) + 1;
+  setupsChanged = true;
 }
-const joinQueue = new JoinQueue();
 
 // Utility to persist single giveaway
 function persistGiveaway(gwId) {
-  GIVEAWAYS[gwId] = GIVEAWAYS[gwId] || {};
-  fs.writeFileSync(GIVEAWAYS_FILE, JSON.stringify(GIVEAWAYS, null, 2));
+  if (GIVEAWAYS[gwId]) storage.saveGiveaway(GIVEAWAYS[gwId]);
+}
+
+// Hot giveaway, or an archived one (read-only: API detail and verify)
+function getGiveaway(id) {
+  return GIVEAWAYS[id] || storage.loadArchivedGiveaway(id);
+}
+
+// Finished/cancelled giveaways leave memory ARCHIVE_AFTER_DAYS after they ended (only Participants / My entries keep working)
+function archiveOldGiveaways() {
+  const cutoff = Date.now() - ARCHIVE_AFTER_DAYS * DAY_MS;
+  for (const gw of Object.values(GIVEAWAYS)) {
+    const last = (gw.stateHistory || []).at(-1);
+    if (!isFinished(gw) || (gw.finishedAt || gw.cancelledAt || (last && last.at) || gw.endAt || 0) > cutoff) continue;
+    if (pendingClaims(gw).length) continue; // still waiting for a winner to claim
+    try {
+      storage.archiveGiveaway(gw, giveawaySummary(gw));
+      delete GIVEAWAYS[gw.id];
+      DRAW_PROGRESS.delete(gw.id);
+      OUTCOMES.delete(gw.id);
+      console.log(`Archived giveaway ${gw.id}`);
+    } catch (e) {
+      console.error('archiveGiveaway error', gw.id, e);
+    }
+  }
+}
+
+// Giveaway lifecycle: collecting -> awaiting_seeds -> running -> finished, or -> cancelled
+const STATE_TRANSITIONS = {
+  collecting: ['awaiting_seeds', 'cancelled'],
+  awaiting_seeds: ['running', 'collecting', 'cancelled'],
+  running: ['finished', 'cancelled'],
+  finished: [],
+  cancelled: ['collecting']
+};
+
+function canTransition(gw, to) {
+  // seeds, once given, are used up: a draw that was cancelled does not collect again
+  if (gw.state === 'cancelled' && to === 'collecting' && gw.clientSeed1) return false;
+  return (STATE_TRANSITIONS[gw.state] || []).includes(to);
+}
+
+// Move a giveaway to a new state; throws on duplicate or out-of-order transitions
+function setState(gw, to) {
+  if (!canTransition(gw, to)) throw new Error(`Giveaway ${gw.id}: cannot go from ${gw.state} to ${to}`);
+  const from = gw.state;
+  gw.state = to;
+  gw.collecting = to === 'collecting';
+  gw.stateHistory = gw.stateHistory || [];
+  gw.stateHistory.push({ state: to, at: Date.now() });
+  emitEvent(gw, 'giveaway.state_changed', { from, state: to });
+}
+
+// State for giveaways persisted before the state machine existed
+function deriveState(gw) {
+  if (gw.cancelledAt) return 'cancelled';
+  if (gw.finishedAt || (gw.winner && (!gw.seedCommitment || gw.seedCommitment.revealedAt))) return 'finished';
+  if (gw.winner || gw.drawStartedAt || (gw.clientSeed1 && gw.clientSeed2)) return 'running';
+  return gw.collecting ? 'collecting' : 'awaiting_seeds';
+}
+for (const gw of Object.values(GIVEAWAYS)) if (gw && !gw.state) gw.state = deriveState(gw);
+
+function isFinished(gw) {
+  return gw.state === 'finished' || gw.state === 'cancelled';
+}
+
+function describeState(gw) {
+  return (gw.state || 'unknown').replace('_', ' ');
+}
+
+// Role ids of a member, resolved (roles.cache) or raw from the interaction payload (roles array)
+function memberRoleIds(member) {
+  if (!member || !member.roles) return [];
+  return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+// Administrators and members with one of the guild's staff roles (lib/guildSettings.js) run giveaways
+function isGiveawayStaff(guildId, member, permissions) {
+  const isAdmin = !!permissions && permissions.has(PermissionFlagsBits.Administrator);
+  return isGuildStaff(guildSettings(guildId), { isAdmin, roleIds: memberRoleIds(member) });
+}
+
+// Why `setup` may not start in `guildId` right now (the guild's limits), or null
+function guildStartProblem(setup, guildId) {
+  const active = Object.values(GIVEAWAYS).filter(gw => gw.guildId === guildId && !isFinished(gw)).length;
+  return guildLimitProblem(guildSettings(guildId), setup, active);
+}
+
+// Seeds may only come from the giveaway creator or configured admins
+function canSubmitSeeds(gw, interaction) {
+  if (GIVEAWAY_ADMIN_IDS.includes(interaction.user.id)) return true;
+  if (gw.createdBy) return gw.createdBy === interaction.user.id;
+  // giveaways started before the creator was stored
+  return isGiveawayStaff(interaction.guildId, interaction.member, interaction.memberPermissions);
+}
+
+// Reason seeds cannot be submitted right now, or null when they can
+function seedSubmissionBlocker(gw, interaction) {
+  if (!canSubmitSeeds(gw, interaction)) return 'Only the giveaway creator or a configured admin can provide seeds.';
+  if (gw.autoRun) return 'This giveaway runs its Battle Royale automatically when collection ends.';
+  if (gw.state === 'collecting') return 'Seeds can only be provided once collection has ended.';
+  if (gw.state === 'running') return 'The Battle Royale is already running.';
+  if (gw.state !== 'awaiting_seeds') return `This giveaway is ${describeState(gw)}.`;
+  if (joinBatcher.pending(gw.id)) return 'Late joins are still being processed — try again in a few seconds.';
+  return null;
+}
+
+// Live giveaway embed (also used for /giveaway status replies)
+function buildGiveawayEmbed(g) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Giveaway — ${g.setup.name}`)
+    .setDescription(g.setup.description || 'Battle Royale giveaway')
+    .addFields(
+      { name: 'Entries', value: `${g.entries.length}`, inline: true },
+      { name: 'Collecting', value: `${g.collecting ? 'Yes' : 'No'}`, inline: true },
+      { name: 'Ends At', value: `<t:${Math.floor(g.endAt / 1000)}:R>`, inline: true },
+      { name: 'Server seed commitment (SHA-256)', value: `\`${g.serverSeedHash}\``, inline: false }
+    );
+  if (g.autoRun) embed.addFields({ name: 'Draw', value: describeAutoRun(g.autoRun), inline: false });
+  return embed.addFields({ name: 'Participants', value: participantSummary(g.entries) });
+}
+
+function describeAutoRun(autoRun) {
+  if (autoRun.mode === 'committed') return `Automatic when collection ends. Client seeds were fixed in advance: SHA-256(clientSeed1:clientSeed2) = \`${autoRun.seedsHash}\``;
+  return 'Automatic when collection ends. Client seeds are derived from the final entry list.';
+}
+
+function buildGiveawayComponents(g) {
+  const joinBtn = new ButtonBuilder().setCustomId(`join_${g.id}`).setLabel('Join Giveaway').setStyle(ButtonStyle.Success).setDisabled(!g.collecting);
+  const verifyBtn = new ButtonBuilder().setCustomId(`verify_${g.id}`).setLabel('Verify / Run').setStyle(ButtonStyle.Secondary);
+  return [new ActionRowBuilder().addComponents(joinBtn, verifyBtn, ...participantButtons(g))];
+}
+
+// Kept on ended giveaways too, so entrants can still look up how their entries fared
+function participantButtons(g) {
+  return [
+    new ButtonBuilder().setCustomId(`people_${g.id}`).setLabel('Participants').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`mine_${g.id}`).setLabel('My entries').setStyle(ButtonStyle.Secondary)
+  ];
+}
+
+// What a giveaway's own message shows for its state; while the draw runs, the draw owns the message instead
+function giveawayView(gw) {
+  const ended = [new ActionRowBuilder().addComponents(...participantButtons(gw))];
+  if (gw.state === 'finished') return { embeds: [buildEndedEmbed(gw)], components: ended };
+  if (gw.state === 'cancelled') return { embeds: [buildCancelledEmbed(gw)], components: ended };
+  return { embeds: [buildGiveawayEmbed(gw)], components: buildGiveawayComponents(gw) };
+}
+
+// Ephemeral participant browser. Page buttons carry their state: people_{gwId}:{page}:{query}
+function buildParticipantBrowser(gw, page = 0, query = '') {
+  const result = participantPage(gw.entries, { page, query });
+  const lines = result.rows.map((p, i) => `${result.offset + i + 1}. <@${p.userId}> — ${entriesLabel(p.entries)}`);
+  const embed = new EmbedBuilder()
+    .setTitle(`Participants — ${gw.setup.name}`)
+    .setDescription(lines.join('\n') || (query ? 'Nobody matches that search.' : 'No participants yet.'))
+    .setFooter({ text: `Page ${result.page + 1}/${result.pages} · ${result.total} user${result.total === 1 ? '' : 's'}${query ? ` matching "${query}"` : ''}` });
+  const pageBtn = (label, to, disabled) => new ButtonBuilder()
+    .setCustomId(`people_${gw.id}:${to}:${query}`).setLabel(label).setStyle(ButtonStyle.Secondary).setDisabled(disabled);
+  const row = new ActionRowBuilder().addComponents(
+    pageBtn('◀ Previous', result.page - 1, result.page === 0),
+    pageBtn('Next ▶', result.page + 1, result.page >= result.pages - 1),
+    new ButtonBuilder().setCustomId(`peoplesearch_${gw.id}`).setLabel('Search').setStyle(ButtonStyle.Primary)
+  );
+  if (query) row.addComponents(new ButtonBuilder().setCustomId(`people_${gw.id}:0:`).setLabel('Clear search').setStyle(ButtonStyle.Secondary));
+  return { embeds: [embed], components: [row] };
+}
+
+// Replaying a draw costs one HMAC per entry; keep the outcome until the next reroll
+const OUTCOMES = new Map(); // gwId -> { rerolls, outcomes }
+function entryOutcomesOf(gw) {
+  const rerolls = (gw.rerolls || []).length;
+  const cached = OUTCOMES.get(gw.id);
+  if (cached && cached.rerolls === rerolls) return cached.outcomes;
+  const outcomes = entryOutcomes(gw);
+  if (GIVEAWAYS[gw.id]) OUTCOMES.set(gw.id, { rerolls, outcomes }); // archived ones are rarely looked at
+  return outcomes;
+}
+
+function describeOutcome(outcome) {
+  if (outcome.place) return `🏆 winner #${outcome.place}`;
+  if (outcome.replacedByReroll) return 'won, then rerolled';
+  return outcome.eliminatedIn ? `out in ${outcome.eliminatedIn}` : 'survived to the end';
+}
+
+// "My entries": the user's entry count, entry ids and, once the draw is done, how each entry fared
+function buildMyEntries(gw, userId) {
+  const mine = gw.entries.filter(e => e.userId === userId);
+  if (!mine.length) {
+    return { content: gw.state === 'collecting' ? 'You have not joined this giveaway yet.' : 'You did not join this giveaway.' };
+  }
+  const drawn = gw.state === 'finished' && !reportBlocker(gw);
+  const outcomes = drawn ? entryOutcomesOf(gw) : null;
+  const lines = mine.map(e => (drawn ? `\`${e.id}\` — ${describeOutcome(outcomes.get(e.id))}` : `\`${e.id}\``));
+  const embed = new EmbedBuilder()
+    .setTitle(`Your entries — ${gw.setup.name}`)
+    .setDescription(listWithin(lines, { budget: DESCRIPTION_LIMIT }))
+    .addFields({ name: 'Entries', value: `${mine.length}`, inline: true });
+  const audit = gw.entryAudit && gw.entryAudit[userId];
+  if (audit && audit.sources && audit.sources.length) {
+    embed.addFields({ name: `Weighting (${audit.policy})`, value: audit.sources.map(s => `${s.source}: ${s.value}`).join('\n').slice(0, 1024), inline: true });
+  }
+  if (drawn) {
+    const tally = new Map();
+    for (const e of mine) {
+      const label = describeOutcome(outcomes.get(e.id));
+      tally.set(label, (tally.get(label) || 0) + 1);
+    }
+    embed.addFields({ name: 'Summary', value: listWithin([...tally].map(([label, n]) => `${label}: ${n}`), { budget: 1024 }), inline: false });
+  } else if (gw.state !== 'cancelled') {
+    embed.setFooter({ text: 'The round each entry went out in shows here once the draw is done.' });
+  }
+  return { embeds: [embed] };
+}
+
+// Queue a re-render of the giveaway message; the renderer skips it if nothing visible changed
+function refreshGiveaway(gw) {
+  if (!gw.messageId || gw.state === 'running') return Promise.resolve();
+  return renderer.update(gw.channelId, gw.messageId, giveawayView(gw), { last: isFinished(gw) });
+}
+
+// Lifecycle notices go out once per giveaway; gw.notices survives restarts so resumes don't repeat them
+async function noticeOnce(gw, key, content) {
+  gw.notices = gw.notices || {};
+  if (gw.notices[key]) return;
+  gw.notices[key] = Date.now();
+  persistGiveaway(gw.id);
+  await renderer.send(gw.channelId, content);
+}
+
+// One timer for every giveaway: closes collection at the deadline. Everything else re-renders on change.
+let deadlineTimer = null;
+function startDeadlineTimer() {
+  if (deadlineTimer) return;
+  deadlineTimer = setInterval(() => {
+    const now = Date.now();
+    for (const gw of Object.values(GIVEAWAYS)) {
+      if (gw && gw.state === 'collecting' && now >= gw.endAt) closeCollection(gw);
+      else if (gw && gw.claims && expiredClaims(gw, now).length) rerollExpiredClaims(gw).catch(e => console.error('rerollExpiredClaims error', gw.id, e));
+    }
+  }, 1000);
+}
+
+// Winner claims (lib/claims.js). A claim is only marked notified once its message went out, so a
+// restart in between sends it again.
+async function notifyClaims(gw) {
+  for (const claim of pendingClaims(gw).filter(c => !c.notifiedAt)) {
+    try {
+      await notifyClaim(gw, claim);
+    } catch (e) {
+      console.error('notifyClaim error', gw.id, claim.place, e);
+    }
+  }
+}
+
+// DM the winner a Claim button; with their DMs closed, ping them in the giveaway channel instead
+async function notifyClaim(gw, claim) {
+  const winner = winnersOf(gw)[claim.place - 1];
+  const where = gw.guildId ? ` (https://discord.com/channels/${gw.guildId}/${gw.channelId})` : '';
+  const content = `You won **#${claim.place} — ${winner.prize}** in "${gw.setup.name}"${where}! Press Claim <t:${Math.floor(claim.deadline / 1000)}:R>, or the prize is drawn again.`;
+  const components = [new ActionRowBuilder().addComponents(new ButtonBuilder().setCustomId(`claim_${gw.id}`).setLabel('Claim').setStyle(ButtonStyle.Success))];
+  try {
+    const user = await client.users.fetch(claim.userId);
+    await user.send({ content, components });
+    claim.notifiedVia = 'dm';
+  } catch (e) {
+    await renderer.send(gw.channelId, { content: `<@${claim.userId}> ${content}`, components });
+    claim.notifiedVia = 'channel';
+  }
+  claim.notifiedAt = Date.now();
+  persistGiveaway(gw.id);
+}
+
+// Claims past their deadline: each place goes to a verifiable reroll, whose winner gets a claim of their own
+const CLAIM_REROLLS = new Set(); // gwIds being rerolled right now
+async function rerollExpiredClaims(gw) {
+  if (CLAIM_REROLLS.has(gw.id)) return;
+  CLAIM_REROLLS.add(gw.id);
+  try {
+    for (const claim of expiredClaims(gw)) {
+      closeClaim(claim, 'expired');
+      const winner = await rerollWinner(gw.id, claim.place, { reason: 'claim expired' });
+      if (winner) continue;
+      persistGiveaway(gw.id);
+      refreshGiveaway(gw);
+      await renderer.send(gw.channelId, `<@${claim.userId}> did not claim #${claim.place} in time and no eligible entries are left to draw from.`);
+    }
+  } finally {
+    CLAIM_REROLLS.delete(gw.id);
+  }
+}
+
+function describeClaims(gw) {
+  const icons = { pending: '⏳', claimed: '✅', expired: '⌛' };
+  const lines = currentClaims(gw)
+    .map(c => `${icons[c.status] || ''} #${c.place} <@${c.userId}> — ${c.status === 'pending' ? `claim ends <t:${Math.floor(c.deadline / 1000)}:R>` : c.status}`);
+  // an embed field value; with many winners the rest are on the dashboard
+  return listWithin(lines, { budget: FIELD_LIMIT, more: n => `…and ${n} more (see the dashboard)` });
+}
+
+// Scheduled giveaways: start due ones, apply the missed-run policy to the rest (e.g. after downtime)
+const SCHEDULE_TICK_MS = 5000;
+let scheduleTimer = null;
+let schedulesRunning = false;
+function startScheduleTimer() {
+  if (scheduleTimer) return;
+  scheduleTimer = setInterval(() => runDueSchedules().catch(e => console.error('runDueSchedules error', e)), SCHEDULE_TICK_MS);
+}
+
+async function runDueSchedules() {
+  if (schedulesRunning) return;
+  schedulesRunning = true;
+  try {
+    for (const schedule of Object.values(SCHEDULES)) {
+      const due = dueRun(schedule);
+      if (!due) continue;
+      const run = { scheduledFor: due.scheduledFor, at: Date.now(), late: due.late, missedBefore: due.missed };
+      if (!due.run) {
+        run.status = 'missed';
+        console.warn(`Schedule ${schedule.id} missed its run at ${new Date(due.scheduledFor).toISOString()} (policy ${schedule.missedRuns})`);
+      } else {
+        try {
+          const gw = await startScheduledGiveaway(schedule);
+          run.status = 'started';
+          run.giveawayId = gw.id;
+        } catch (e) {
+          run.status = 'failed';
+          run.error = e.message;
+          console.error(`Schedule ${schedule.id} failed to start`, e);
+        }
+      }
+      schedule.runs = [run, ...(schedule.runs || [])].slice(0, SCHEDULE_RUNS_KEPT);
+      schedule.lastRunAt = run.at;
+      schedule.nextRunAt = nextRunAt(schedule, Math.max(run.at, due.scheduledFor));
+      if (!schedule.nextRunAt) schedule.enabled = false; // one-off schedule done
+      saveSchedules();
+    }
+  } finally {
+    schedulesRunning = false;
+  }
+}
+
+async function startScheduledGiveaway(schedule) {
+  const setup = SETUPS[schedule.setupId];
+  if (!setup) throw new Error(`setup ${schedule.setupId} no longer exists`);
+  if (!schedule.guildId) throw new Error('schedule has no server yet — assign its setup in the web UI');
+  const channelId = schedule.channelId || guildSettings(schedule.guildId).defaultChannelId;
+  if (!channelId) throw new Error('no channel set and the server has no default channel');
+  const channel = await renderer.channel(channelId);
+  if (!channel || !channel.isTextBased()) throw new Error(`channel ${channelId} not found`);
+  if (channel.guildId !== schedule.guildId) throw new Error(`channel ${channelId} is not in server ${schedule.guildId}`);
+  const problem = guildStartProblem(setup, schedule.guildId);
+  if (problem) throw new Error(problem);
+  const autoRun = schedule.autoRun === 'off' ? null
+    : schedule.autoRun === 'committed' ? { mode: 'committed', clientSeed1: schedule.clientSeed1, clientSeed2: schedule.clientSeed2 }
+      : { mode: 'derived' };
+  const gw = await startGiveaway(setup, channel, null, { scheduleId: schedule.id, autoRun });
+  console.log(`Schedule ${schedule.id} started giveaway ${gw.id}`);
+  return gw;
+}
+
+// custom ids look like `${prefix}_${gwId}` and gw ids contain '_' themselves
+function giveawayIdFrom(customId, prefix) {
+  return customId.slice(prefix.length + 1);
+}
+
+// { setup } of `guildId` by id or (case-insensitive) name, or { error } when nothing or more than one setup matches.
+// Names are unique per guild for setups created through the API; older data may still hold duplicates.
+function findSetup(nameOrId, guildId) {
+  const setups = Object.values(SETUPS).filter(s => s.guildId === guildId);
+  const byId = setups.find(s => s.id === nameOrId);
+  if (byId) return { setup: byId };
+  const matches = setups.filter(s => nameKey(s.name) === nameKey(nameOrId));
+  if (matches.length === 1) return { setup: matches[0] };
+  if (matches.length > 1) return { error: `Several setups are named "${nameOrId}" — use the setup id (${matches.map(s => s.id).join(', ')}).` };
+  return { error: `Setup "${nameOrId}" not found. Create it in the web UI.` };
+}
+
+// Post a new giveaway for a setup in a channel and start its live loop.
+// `autoRun` ({ mode, clientSeed1?, clientSeed2? }) comes from a schedule; such giveaways draw by themselves.
+async function startGiveaway(setup, channel, createdBy, { scheduleId = null, autoRun = null } = {}) {
+  const collectDuration = parseInt(setup.collectDuration || 30);
+
+  const gwId = `gw_${Date.now()}`;
+  const serverSeed = generateServerSeed();
+  const gw = {
+    id: gwId,
+    guildId: channel.guildId,
+    channelId: channel.id,
+    messageId: null,
+    setupId: setup.id,
+    setup: JSON.parse(JSON.stringify(setup)), // snapshot: later edits of the setup don't touch this giveaway
+    setupVersion: setup.version || 1,
+    createdBy, // user id allowed to submit seeds
+    scheduleId,
+    autoRun: autoRun && autoRun.mode === 'committed'
+      ? { ...autoRun, seedsHash: commitClientSeeds(autoRun.clientSeed1, autoRun.clientSeed2) }
+      : autoRun,
+    entries: [], // per-entry rows {id, userId, username}
+    entrantsByUser: {},
+    state: 'collecting',
+    stateHistory: [{ state: 'collecting', at: Date.now() }],
+    collecting: true,
+    startAt: Date.now(),
+    endAt: Date.now() + collectDuration * 1000,
+    clientSeed1: null,
+    clientSeed2: null,
+    serverSeed,
+    serverSeedHash: commitServerSeed(serverSeed),
+    seedCommitment: { algorithm: 'sha256', committedAt: Date.now(), revealedAt: null },
+    finalFloats: null,
+    prizeConfig: normalizePrizeConfig(setup),
+    schedule: normalizeSchedule(setup.schedule), // round plan + pacing, replayed by the verifier
+    weighting: normalizeWeighting(setup), // policy used for entry counts (see entryAudit per user)
+    entryAudit: {},
+    winner: null // ordered list of winners once drawn
+  };
+  GIVEAWAYS[gwId] = gw;
+  persistGiveaway(gwId);
+
+  const view = giveawayView(gw);
+  const sent = await channel.send(view);
+  renderer.remember(sent, view);
+  gw.messageId = sent.id;
+  persistGiveaway(gwId);
+  emitEvent(gw, 'giveaway.created');
+  return gw;
+}
+
+// Close collection (deadline, /giveaway end or found expired on resume) and post the notice once
+function closeCollection(gw, when = '') {
+  setState(gw, 'awaiting_seeds');
+  gw.endAt = Math.min(gw.endAt, Date.now());
+  persistGiveaway(gw.id);
+  refreshGiveaway(gw);
+  emitEvent(gw, 'giveaway.collection_ended', { entries: gw.entries.length });
+  const next = gw.autoRun ? 'The Battle Royale starts automatically in a moment.' : 'Creator should press Verify and provide seeds to run the Battle Royale.';
+  noticeOnce(gw, 'collectionEnded', `Collection for "${gw.setup.name}" ended${when}. Total entries: ${gw.entries.length}. ${next}`)
+    .catch(e => console.warn('collection notice failed', e));
+  if (gw.autoRun) autoDraw(gw).catch(e => reportDrawFailure(gw.id, e));
+}
+
+// Seeds for giveaways with autoRun, once late joins are in (derived seeds depend on the final entry list)
+async function autoDraw(gw) {
+  while (joinBatcher.pending(gw.id)) await new Promise(res => setTimeout(res, JOIN_BATCH_MS));
+  if (gw.state !== 'awaiting_seeds') return; // reopened or cancelled meanwhile
+  const seeds = gw.autoRun.mode === 'derived' ? deriveClientSeeds(gw) : gw.autoRun;
+  setState(gw, 'running');
+  gw.seedsSubmittedBy = `auto:${gw.autoRun.mode}`;
+  gw.clientSeed1 = seeds.clientSeed1;
+  gw.clientSeed2 = seeds.clientSeed2;
+  persistGiveaway(gw.id);
+  await runBattleRoyale(gw.id);
+}
+
+function endCollection(gwId) {
+  closeCollection(GIVEAWAYS[gwId]);
+}
+
+// Audit trail for staff actions
+function logAdminAction(gw, action, userId, details = {}) {
+  gw.adminActions = gw.adminActions || [];
+  gw.adminActions.push({ action, by: userId, at: Date.now(), ...details });
+}
+
+// Push the deadline of a collecting giveaway back
+function extendCollection(gwId, minutes) {
+  const gw = GIVEAWAYS[gwId];
+  gw.endAt += minutes * 60 * 1000;
+  persistGiveaway(gwId);
+  refreshGiveaway(gw);
+  emitEvent(gw, 'giveaway.extended', { endAt: gw.endAt });
+}
+
+// Reopen collection for a giveaway that has ended or was cancelled but has not been drawn
+async function reopenGiveaway(gwId, minutes) {
+  const gw = GIVEAWAYS[gwId];
+  setState(gw, 'collecting');
+  gw.endAt = Date.now() + minutes * 60 * 1000;
+  gw.cancelledAt = null;
+  // the next close (or cancel) gets its own notice
+  if (gw.notices) { delete gw.notices.collectionEnded; delete gw.notices.cancelled; }
+  persistGiveaway(gwId);
+  refreshGiveaway(gw);
+  emitEvent(gw, 'giveaway.reopened', { endAt: gw.endAt });
+  await renderer.send(gw.channelId, `Giveaway "${gw.setup.name}" reopened — collection ends <t:${Math.floor(gw.endAt / 1000)}:R>.`);
+}
+
+// Replace one place with a verifiable reroll; returns the new winner or null if nobody is eligible.
+// The whole reroll chain is replayed from the original draw, exactly as the verifier does it.
+// `reason` is stored on automatic rerolls (e.g. an expired claim).
+async function rerollWinner(gwId, place, { reason = null } = {}) {
+  const gw = GIVEAWAYS[gwId];
+  const replaced = winnersOf(gw)[place - 1];
+  const nonce = (gw.rerolls || []).length + 1;
+  const seeds = { serverSeed: gw.serverSeed, clientSeed1: gw.clientSeed1, clientSeed2: gw.clientSeed2, entries: gw.entries };
+  const plan = computeBattleRoyale({ ...seeds, prizeConfig: gw.prizeConfig, schedule: gw.schedule || DEFAULT_SCHEDULE });
+  const result = applyRerolls({
+    ...seeds,
+    winners: plan.winners,
+    rerolls: [...(gw.rerolls || []).map(r => ({ nonce: r.nonce, place: r.place })), { nonce, place }],
+    allowMultipleWins: !!(gw.prizeConfig && gw.prizeConfig.allowMultipleWins)
+  });
+  const winner = result.rerolls[result.rerolls.length - 1].winner;
+  if (!winner) return null;
+
+  gw.winner = winnersOf(gw).slice();
+  gw.winner[place - 1] = winner;
+  gw.rerolls = gw.rerolls || [];
+  gw.rerolls.push({ nonce, place, at: Date.now(), replacedEntryId: replaced.id, replacedUserId: replaced.userId, winnerEntryId: winner.id, ...(reason ? { reason } : {}) });
+  // the new winner has to claim in turn
+  if (gw.claims) {
+    for (const claim of pendingClaims(gw).filter(c => c.place === place)) closeClaim(claim, 'replaced');
+    openClaim(gw, winner, gw.setup.claimMinutes);
+  }
+  persistGiveaway(gwId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🎲 Reroll — #${place} ${winner.prize}`)
+    .setDescription(`New winner: <@${winner.userId}> (replaces <@${replaced.userId}>${reason === 'claim expired' ? ', who did not claim in time' : ''})`)
+    .addFields(
+      { name: 'Entry', value: `${winner.id}`, inline: true },
+      { name: 'Float', value: `${winner.pfFloat}`, inline: true },
+      { name: 'HMAC message', value: `\`${winner.message}\``, inline: false }
+    )
+    .setFooter({ text: `Reroll nonce ${nonce} — verify at ${PUBLIC_URL}/verify.html?id=${gwId}` })
+    .setTimestamp();
+  await renderer.send(gw.channelId, { embeds: [embed] });
+  refreshGiveaway(gw);
+  emitEvent(gw, 'giveaway.rerolled', { place, winner: serializeWinner(winner), replacedUserId: replaced.userId, reason });
+  if (gw.claims) await notifyClaims(gw);
+  return winner;
 }
 
-// Text command $start {setup}
+async function cancelGiveaway(gwId) {
+  const gw = GIVEAWAYS[gwId];
+  setState(gw, 'cancelled');
+  gw.cancelledAt = Date.now();
+  persistGiveaway(gwId);
+  DRAW_PROGRESS.delete(gwId);
+  refreshGiveaway(gw);
+  emitEvent(gw, 'giveaway.cancelled');
+  await noticeOnce(gw, 'cancelled', `Giveaway "${gw.setup.name}" was cancelled.`);
+}
+
+// Text command $start {setup} (legacy fallback for /giveaway start)
 client.on('messageCreate', async (message) => {
   try {
-    if (!message.content.startsWith('$start')) return;
-    if (!message.member.permissions.has(PermissionFlagsBits.Administrator)) {
-      await message.reply('Only administrators can start a giveaway.');
+    if (!message.content.startsWith('$start') || !message.guild) return;
+    if (!isGiveawayStaff(message.guildId, message.member, message.member && message.member.permissions)) {
+      await message.reply('Only administrators and giveaway staff can start a giveaway.');
       return;
     }
     const args = message.content.trim().split(/\s+/).slice(1);
@@ -165,117 +1566,238 @@ client.on('messageCreate', async (message) => {
       await message.reply('Usage: $start {setupNameOrId}');
       return;
     }
-    const setup = Object.values(SETUPS).find(s => s.name === setupArg || s.id === setupArg) || SETUPS[setupArg];
+    const { setup, error } = findSetup(setupArg, message.guildId);
     if (!setup) {
-      await message.reply(`Setup "${setupArg}" not found. Create it in the web UI.`);
+      await message.reply(error);
       return;
     }
-    const collectDuration = parseInt(setup.collectDuration || 30);
-
-    const gwId = `gw_${Date.now()}`;
-    const gw = {
-      id: gwId,
-      channelId: message.channel.id,
-      messageId: null,
-      setupId: setup.id,
-      setup,
-      entries: [], // per-entry rows {id, userId, username}
-      entrantsByUser: {},
-      collecting: true,
-      startAt: Date.now(),
-      endAt: Date.now() + collectDuration * 1000,
-      clientSeed1: null,
-      clientSeed2: null,
-      serverSeed: SERVER_SEED,
-      finalFloats: null,
-      winner: null
-    };
-    GIVEAWAYS[gwId] = gw;
-    persistGiveaway(gwId);
+    const problem = guildStartProblem(setup, message.guildId);
+    if (problem) {
+      await message.reply(problem);
+      return;
+    }
+    await startGiveaway(setup, message.channel, message.author.id);
+
+    await message.reply(`Giveaway started with setup "${setup.name}". Message posted.`);
+  } catch (err) {
+    console.error('messageCreate error', err);
+  }
+});
+
+// Slash commands (/giveaway ...)
+const GIVEAWAY_COMMAND = new SlashCommandBuilder()
+  .setName('giveaway')
+  .setDescription('Manage Battle Royale giveaways')
+  .setDefaultMemberPermissions(null) // staff roles differ per guild, so handleGiveawayCommand checks instead
+  .setDMPermission(false)
+  .addSubcommand(sc => sc.setName('start').setDescription('Start a giveaway from a setup')
+    .addStringOption(o => o.setName('setup').setDescription('Setup name').setRequired(true).setAutocomplete(true))
+    .addChannelOption(o => o.setName('channel').setDescription('Channel to post in (default: this one)').addChannelTypes(ChannelType.GuildText)))
+  .addSubcommand(sc => sc.setName('list').setDescription('List active and recent giveaways'))
+  .addSubcommand(sc => sc.setName('status').setDescription('Show the status of a giveaway')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true)))
+  .addSubcommand(sc => sc.setName('end').setDescription('End collection for a giveaway now')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true)))
+  .addSubcommand(sc => sc.setName('cancel').setDescription('Cancel a giveaway')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true)))
+  .addSubcommand(sc => sc.setName('extend').setDescription('Extend the collection deadline')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true))
+    .addIntegerOption(o => o.setName('minutes').setDescription('Minutes to add').setRequired(true).setMinValue(1).setMaxValue(10080)))
+  .addSubcommand(sc => sc.setName('reopen').setDescription('Reopen collection for an ended or cancelled giveaway that has not been drawn')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true))
+    .addIntegerOption(o => o.setName('minutes').setDescription('Collect for this many minutes').setRequired(true).setMinValue(1).setMaxValue(10080)))
+  .addSubcommand(sc => sc.setName('reroll').setDescription('Redraw one place from the remaining entries (verifiable)')
+    .addStringOption(o => o.setName('giveaway').setDescription('Giveaway').setRequired(true).setAutocomplete(true))
+    .addIntegerOption(o => o.setName('place').setDescription('Place to reroll (default 1)').setMinValue(1).setMaxValue(MAX_WINNERS))
+    .addStringOption(o => o.setName('reason').setDescription('Why the winner is being replaced')))
+  .addSubcommand(sc => sc.setName('setups').setDescription('List available setups'));
+
+async function registerCommands() {
+  const commands = [GIVEAWAY_COMMAND.toJSON()];
+  if (GUILD_ID) await client.application.commands.set(commands, GUILD_ID);
+  else await client.application.commands.set(commands);
+  console.log(`Registered slash commands ${GUILD_ID ? `for guild ${GUILD_ID}` : 'globally'}`);
+}
+
+function giveawayLabel(gw) {
+  return `${gw.setup.name} — ${gw.id} (${describeState(gw)})`.slice(0, 100);
+}
+
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const query = String(focused.value || '').toLowerCase();
+  let choices = [];
+  if (focused.name === 'setup') {
+    choices = Object.values(SETUPS)
+      .filter(s => s.guildId === interaction.guildId)
+      .filter(s => (s.name || '').toLowerCase().includes(query) || s.id.toLowerCase().includes(query))
+      .map(s => ({ name: (s.name || s.id).slice(0, 100), value: s.id }));
+  } else if (focused.name === 'giveaway') {
+    choices = Object.values(GIVEAWAYS)
+      .filter(gw => gw.guildId === interaction.guildId)
+      .sort((a, b) => (isFinished(a) - isFinished(b)) || (b.startAt - a.startAt))
+      .filter(gw => giveawayLabel(gw).toLowerCase().includes(query))
+      .map(gw => ({ name: giveawayLabel(gw), value: gw.id }));
+  }
+  await interaction.respond(choices.slice(0, 25));
+}
+
+async function handleGiveawayCommand(interaction) {
+  if (!isGiveawayStaff(interaction.guildId, interaction.member, interaction.memberPermissions)) {
+    return interaction.reply({ content: 'Only administrators and giveaway staff can manage giveaways.', ephemeral: true });
+  }
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'start') {
+    const setupArg = interaction.options.getString('setup', true);
+    const { setup, error } = findSetup(setupArg, interaction.guildId);
+    if (!setup) return interaction.reply({ content: error, ephemeral: true });
+    const problem = guildStartProblem(setup, interaction.guildId);
+    if (problem) return interaction.reply({ content: problem, ephemeral: true });
+    const defaultChannelId = guildSettings(interaction.guildId).defaultChannelId;
+    const channel = interaction.options.getChannel('channel') || (defaultChannelId && interaction.guild.channels.cache.get(defaultChannelId)) || interaction.channel;
+    await interaction.deferReply({ ephemeral: true });
+    const gw = await startGiveaway(setup, channel, interaction.user.id);
+    return interaction.editReply(`Giveaway started with setup "${setup.name}" in <#${channel.id}> (id: ${gw.id}).`);
+  }
 
-    const joinBtn = new ButtonBuilder().setCustomId(`join_${gwId}`).setLabel('Join Giveaway').setStyle(ButtonStyle.Success);
-    const verifyBtn = new ButtonBuilder().setCustomId(`verify_${gwId}`).setLabel('Verify / Run').setStyle(ButtonStyle.Secondary);
-    const row = new ActionRowBuilder().addComponents(joinBtn, verifyBtn);
+  if (sub === 'setups') {
+    const setups = Object.values(SETUPS).filter(s => s.guildId === interaction.guildId).sort((a, b) => a.id.localeCompare(b.id));
+    const title = 'Giveaway Setups';
+    const more = n => `…and ${n} more (see the web UI)`;
+    // one field per setup (at most 25), each within FIELD_LIMIT and all of them within EMBED_LIMIT
+    const fields = [];
+    let budget = EMBED_LIMIT - title.length - more(setups.length).length;
+    for (const s of setups.slice(0, 25)) {
+      const stats = `Collect: ${s.collectDuration || 30}s · Base entries: ${s.baseEntries || 1} · Winners: ${normalizePrizeConfig(s).winnerCount}`;
+      const field = { name: s.name || s.id, value: `${clip(s.description || 'No description', FIELD_LIMIT - stats.length - 1)}\n${stats}` };
+      budget -= field.name.length + field.value.length;
+      if (budget < 0) break;
+      fields.push(field);
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(setups.length ? (fields.length < setups.length ? more(setups.length - fields.length) : null) : 'No setups yet. Create one in the web UI.')
+      .addFields(fields);
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
 
+  if (sub === 'list') {
+    const all = Object.values(GIVEAWAYS)
+      .filter(gw => gw.guildId === interaction.guildId)
+      .sort((a, b) => b.startAt - a.startAt);
+    const active = all.filter(gw => !isFinished(gw));
+    const recent = all.filter(gw => isFinished(gw)).slice(0, 5);
+    const line = gw => `• **${gw.setup.name}** — \`${gw.id}\` in <#${gw.channelId}> — ${describeState(gw)}, ${gw.entries.length} entries`;
     const embed = new EmbedBuilder()
-      .setTitle(`Giveaway — ${setup.name}`)
-      .setDescription(setup.description || 'Battle Royale giveaway. Click Join to enter!')
+      .setTitle('Giveaways')
       .addFields(
-        { name: 'Entries', value: '0', inline: true },
-        { name: 'Collecting ends', value: `<t:${Math.floor(gw.endAt / 1000)}:R>`, inline: true }
-      )
-      .setFooter({ text: 'Live updating — updated every 1s' });
+        { name: `Active (${active.length})`, value: listWithin(active.map(line), { budget: FIELD_LIMIT, max: 10, more: n => `…and ${n} more (see the dashboard)` }) || 'None' },
+        { name: 'Recently finished', value: listWithin(recent.map(line), { budget: FIELD_LIMIT }) || 'None' }
+      );
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  const gwId = interaction.options.getString('giveaway', true);
+  const gw = GIVEAWAYS[gwId];
+  if (!gw || gw.guildId !== interaction.guildId) return interaction.reply({ content: 'Giveaway not found', ephemeral: true });
 
-    const sent = await message.channel.send({ embeds: [embed], components: [row] });
-    gw.messageId = sent.id;
+  if (sub === 'status') {
+    const embed = buildGiveawayEmbed(gw)
+      .addFields({ name: 'State', value: describeState(gw), inline: true })
+      .addFields({ name: 'Message', value: `https://discord.com/channels/${interaction.guildId}/${gw.channelId}/${gw.messageId}`, inline: false });
+    if (gw.claims) embed.addFields({ name: 'Claims', value: describeClaims(gw) || 'None', inline: false });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if (sub === 'end') {
+    if (gw.state !== 'collecting') return interaction.reply({ content: 'Collection already ended.', ephemeral: true });
+    endCollection(gwId);
+    logAdminAction(gw, 'end', interaction.user.id);
     persistGiveaway(gwId);
+    return interaction.reply({ content: `Collection for "${gw.setup.name}" ended with ${gw.entries.length} entries.`, ephemeral: true });
+  }
 
-    // live update loop for this giveaway (1s)
-    const updateInterval = setInterval(async () => {
-      try {
-        const g = GIVEAWAYS[gwId];
-        if (!g) { clearInterval(updateInterval); return; }
-        const now = Date.now();
-        if (g.collecting && now >= g.endAt) { g.collecting = false; persistGiveaway(gwId); }
-
-        const channel = await client.channels.fetch(g.channelId).catch(() => null);
-        if (!channel) return;
-        const msg = await channel.messages.fetch(g.messageId).catch(() => null);
-        if (!msg) return;
-
-        const participantsDesc = makeParticipantsDescription(g.entries);
-        const embed2 = new EmbedBuilder()
-          .setTitle(`Giveaway — ${g.setup.name}`)
-          .setDescription(g.setup.description || 'Battle Royale giveaway')
-          .addFields(
-            { name: 'Entries', value: `${g.entries.length}`, inline: true },
-            { name: 'Collecting', value: `${g.collecting ? 'Yes' : 'No'}`, inline: true },
-            { name: 'Ends At', value: `<t:${Math.floor(g.endAt / 1000)}:R>`, inline: true }
-          )
-          .addFields({ name: 'Participants (sample)', value: participantsDesc });
-
-        const joinBtn2 = new ButtonBuilder().setCustomId(`join_${gwId}`).setLabel('Join Giveaway').setStyle(ButtonStyle.Success).setDisabled(!g.collecting);
-        const verifyBtn2 = new ButtonBuilder().setCustomId(`verify_${gwId}`).setLabel('Verify / Run').setStyle(ButtonStyle.Secondary);
-        const comp = [new ActionRowBuilder().addComponents(joinBtn2, verifyBtn2)];
-
-        await msg.edit({ embeds: [embed2], components: comp }).catch(e => console.warn('edit fail', e));
-
-        // when collecting ended -> notify once
-        if (!g.collecting && now - g.endAt < 2000) {
-          await channel.send(`Collection ended. Total entries: ${g.entries.length}. Creator should press Verify and provide seeds to run the Battle Royale.`);
-        }
-      } catch (e) {
-        console.error('updateInterval error', e);
-      }
-    }, 1000);
+  if (sub === 'cancel') {
+    if (!canTransition(gw, 'cancelled')) return interaction.reply({ content: `Giveaway is ${describeState(gw)} and cannot be cancelled.`, ephemeral: true });
+    // the cancel notice goes through the paced renderer; acknowledge first
+    await interaction.deferReply({ ephemeral: true });
+    logAdminAction(gw, 'cancel', interaction.user.id);
+    await cancelGiveaway(gwId);
+    return interaction.editReply(`Giveaway "${gw.setup.name}" cancelled.`);
+  }
 
-    await message.reply(`Giveaway started with setup "${setup.name}". Message posted.`);
-  } catch (err) {
-    console.error('messageCreate error', err);
+  if (sub === 'extend') {
+    if (gw.state !== 'collecting') return interaction.reply({ content: 'Collection already ended — use /giveaway reopen instead.', ephemeral: true });
+    const minutes = interaction.options.getInteger('minutes', true);
+    logAdminAction(gw, 'extend', interaction.user.id, { minutes });
+    extendCollection(gwId, minutes);
+    return interaction.reply({ content: `Collection for "${gw.setup.name}" now ends <t:${Math.floor(gw.endAt / 1000)}:R>.`, ephemeral: true });
   }
-});
 
-// interaction handler (buttons & modals)
+  if (sub === 'reopen') {
+    if (gw.state === 'collecting') return interaction.reply({ content: 'Giveaway is still collecting — use /giveaway extend instead.', ephemeral: true });
+    if (!canTransition(gw, 'collecting')) return interaction.reply({ content: `Giveaway is ${describeState(gw)} and cannot be reopened.`, ephemeral: true });
+    const minutes = interaction.options.getInteger('minutes', true);
+    await interaction.deferReply({ ephemeral: true });
+    logAdminAction(gw, 'reopen', interaction.user.id, { minutes });
+    await reopenGiveaway(gwId, minutes);
+    return interaction.editReply(`Giveaway "${gw.setup.name}" reopened until <t:${Math.floor(gw.endAt / 1000)}:R>.`);
+  }
+
+  if (sub === 'reroll') {
+    if (!gw.winner || gw.state !== 'finished') return interaction.reply({ content: 'Only finished giveaways can be rerolled.', ephemeral: true });
+    const place = interaction.options.getInteger('place') || 1;
+    if (!winnersOf(gw)[place - 1]) return interaction.reply({ content: `This giveaway has no place #${place}.`, ephemeral: true });
+    await interaction.deferReply({ ephemeral: true });
+    const winner = await rerollWinner(gwId, place);
+    if (!winner) return interaction.editReply('No eligible entries left to reroll from.');
+    logAdminAction(gw, 'reroll', interaction.user.id, { place, reason: interaction.options.getString('reason') || null, nonce: winner.rerollNonce });
+    persistGiveaway(gwId);
+    return interaction.editReply(`Rerolled place #${place}: <@${winner.userId}> (entry ${winner.id}).`);
+  }
+}
+
+// interaction handler (slash commands, buttons & modals)
 client.on('interactionCreate', async (interaction) => {
   try {
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName === 'giveaway') await handleAutocomplete(interaction);
+      return;
+    }
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === 'giveaway') await handleGiveawayCommand(interaction);
+      return;
+    }
+
     // Modal submit for seeds
     if (interaction.type === InteractionType.ModalSubmit) {
       const customId = interaction.customId || '';
       if (customId.startsWith('seeds_')) {
-        const gwId = customId.split('_')[1];
+        const gwId = giveawayIdFrom(customId, 'seeds');
         const gw = GIVEAWAYS[gwId];
         if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
-        // Only giveaway creator (the author who started it) can submit seeds => we do not have that in state; we require administrator or message author
+        const blocker = seedSubmissionBlocker(gw, interaction);
+        if (blocker) return await interaction.reply({ content: blocker, ephemeral: true });
         const cs1 = interaction.fields.getTextInputValue('clientSeed1').trim();
         const cs2 = interaction.fields.getTextInputValue('clientSeed2').trim();
+        if (!cs1 || !cs2 || cs1.length > MAX_CLIENT_SEED_LENGTH || cs2.length > MAX_CLIENT_SEED_LENGTH) {
+          return await interaction.reply({ content: `Both seeds are required, at most ${MAX_CLIENT_SEED_LENGTH} characters each.`, ephemeral: true });
+        }
+        // transition before any await so a second submission is rejected
+        setState(gw, 'running');
+        gw.seedsSubmittedBy = interaction.user.id;
         gw.clientSeed1 = cs1;
         gw.clientSeed2 = cs2;
         persistGiveaway(gwId);
         await interaction.reply({ content: 'Seeds received. Running Battle Royale now...', ephemeral: true });
-        runBattleRoyale(gwId).catch(e => {
-          console.error('runBattleRoyale error', e);
-          // attempt to inform creator channel
-        });
+        runBattleRoyale(gwId).catch(e => reportDrawFailure(gwId, e));
+      } else if (customId.startsWith('peoplesearch_')) {
+        const gw = getGiveaway(giveawayIdFrom(customId, 'peoplesearch'));
+        if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
+        const view = buildParticipantBrowser(gw, 0, interaction.fields.getTextInputValue('query').trim().replace(/:/g, ''));
+        if (interaction.isFromMessage()) await interaction.update(view);
+        else await interaction.reply({ ...view, ephemeral: true });
       }
       return;
     }
@@ -286,69 +1808,90 @@ client.on('interactionCreate', async (interaction) => {
     // robust handling and guard against Unknown Interaction errors
     try {
       if (customId.startsWith('join_')) {
-        const gwId = customId.split('_')[1];
+        const gwId = giveawayIdFrom(customId, 'join');
         const gw = GIVEAWAYS[gwId];
         if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
-        if (!gw.collecting) return await interaction.reply({ content: 'Collection already ended.', ephemeral: true });
-
-        // push join task into queue
-        joinQueue.push(async () => {
-          // compute entry count based on setup roleEntries
-          let entryCount = gw.setup.baseEntries ? parseInt(gw.setup.baseEntries) : 1;
-          try {
-            const member = await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
-            if (member && gw.setup.roleEntries && Array.isArray(gw.setup.roleEntries)) {
-              for (const re of gw.setup.roleEntries) {
-                if (!re.roleId) continue;
-                if (member.roles.cache.has(re.roleId)) {
-                  entryCount = Math.max(entryCount, parseInt(re.entries || entryCount));
-                }
-              }
-            }
-          } catch (e) {
-            console.warn('role check failed', e);
-          }
-
-          const newEntries = [];
-          for (let i = 0; i < entryCount; i++) {
-            const row = { id: `e_${Date.now()}_${Math.random().toString(36).slice(2,8)}`, userId: interaction.user.id, username: interaction.user.username };
-            gw.entries.push(row);
-            newEntries.push(row);
-          }
-          gw.entrantsByUser[interaction.user.id] = (gw.entrantsByUser[interaction.user.id] || 0) + newEntries.length;
-          persistGiveaway(gwId);
-
-          // try followUp first (since we might be replying in queued context)
-          try {
-            if (interaction.replied || interaction.deferred) {
-              await interaction.followUp({ content: `You joined the giveaway with ${newEntries.length} entries.`, ephemeral: true });
-            } else {
-              await interaction.reply({ content: `You joined the giveaway with ${newEntries.length} entries.`, ephemeral: true });
-            }
-          } catch (e) {
-            // best effort: ignore
-            console.warn('reply/followUp failed for join', e);
-          }
-        });
+        if (gw.state !== 'collecting') return await interaction.reply({ content: 'Collection already ended.', ephemeral: true });
+
+        if (gw.entrantsByUser[interaction.user.id]) {
+          return await interaction.reply({ content: `You have already joined this giveaway with ${gw.entrantsByUser[interaction.user.id]} entries.`, ephemeral: true });
+        }
+        const pendingKey = `${gwId}:${interaction.user.id}`;
+        if (PENDING_JOINS.has(pendingKey)) return await interaction.reply({ content: 'Your join is already being processed.', ephemeral: true });
+        PENDING_JOINS.add(pendingKey);
+
+        // queue first so the join survives even if the acknowledgement fails
+        const member = interaction.member && interaction.member.roles && interaction.member.roles.cache
+          ? rememberMember(interaction.guildId, interaction.member)
+          : cachedMember(interaction.guildId, interaction.user.id);
+        const join = {
+          key: pendingKey,
+          interaction,
+          user: interaction.user,
+          userId: interaction.user.id,
+          username: interaction.user.username,
+          guild: interaction.guild,
+          member,
+          clickedAt: interaction.createdTimestamp
+        };
+        join.ack = interaction.deferReply({ ephemeral: true }).then(() => true, e => { console.warn('join deferReply failed', e.code || e); return false; });
+        joinBatcher.push(gwId, join);
+        await join.ack;
+
+      } else if (customId.startsWith('claim_')) {
+        const gwId = giveawayIdFrom(customId, 'claim');
+        const gw = GIVEAWAYS[gwId];
+        if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
+        const claims = pendingClaims(gw, interaction.user.id).filter(c => Date.now() < c.deadline);
+        if (!claims.length) {
+          const claimed = currentClaims(gw).some(c => c.userId === interaction.user.id && c.status === 'claimed');
+          return await interaction.reply({ content: claimed ? 'You already claimed your prize.' : 'You have no open claim in this giveaway (it may have expired).', ephemeral: true });
+        }
+        for (const claim of claims) closeClaim(claim, 'claimed');
+        persistGiveaway(gwId);
+        const places = claims.map(c => `#${c.place}`).join(', ');
+        await interaction.reply({ content: `Claimed ${places} in "${gw.setup.name}" — the giveaway team will be in touch.`, ephemeral: true });
+        refreshGiveaway(gw);
+        emitEvent(gw, 'giveaway.claimed', { userId: interaction.user.id, places: claims.map(c => c.place) });
+        await renderer.send(gw.channelId, `<@${interaction.user.id}> claimed ${places}.`);
+
+      } else if (customId.startsWith('people_')) {
+        // the message's own button opens page 1; the browser's buttons carry page and search
+        const [gwId, page, ...query] = giveawayIdFrom(customId, 'people').split(':');
+        const gw = getGiveaway(gwId);
+        if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
+        if (page === undefined) return await interaction.reply({ ...buildParticipantBrowser(gw), ephemeral: true });
+        await interaction.update(buildParticipantBrowser(gw, Number(page) || 0, query.join(':')));
+
+      } else if (customId.startsWith('peoplesearch_')) {
+        const gwId = giveawayIdFrom(customId, 'peoplesearch');
+        const modal = new ModalBuilder().setCustomId(`peoplesearch_${gwId}`).setTitle('Search participants');
+        const query = new TextInputBuilder().setCustomId('query').setLabel('Username or user id').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(50);
+        modal.addComponents(new ActionRowBuilder().addComponents(query));
+        await interaction.showModal(modal);
+
+      } else if (customId.startsWith('mine_')) {
+        const gw = getGiveaway(giveawayIdFrom(customId, 'mine'));
+        if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
+        await interaction.reply({ ...buildMyEntries(gw, interaction.user.id), ephemeral: true });
 
       } else if (customId.startsWith('verify_')) {
-        const gwId = customId.split('_')[1];
+        const gwId = giveawayIdFrom(customId, 'verify');
         const gw = GIVEAWAYS[gwId];
         if (!gw) return await interaction.reply({ content: 'Giveaway not found', ephemeral: true });
+        const blocker = seedSubmissionBlocker(gw, interaction);
+        if (blocker) return await interaction.reply({ content: blocker, ephemeral: true });
         // Show a modal to collect seeds
         const modal = new ModalBuilder().setCustomId(`seeds_${gwId}`).setTitle('Provide Seeds (clientSeed1, clientSeed2)');
-        const cs1 = new TextInputBuilder().setCustomId('clientSeed1').setLabel('clientSeed1 (block hash or seed)').setStyle(TextInputStyle.Short).setRequired(true);
-        const cs2 = new TextInputBuilder().setCustomId('clientSeed2').setLabel('clientSeed2 (creator input)').setStyle(TextInputStyle.Short).setRequired(true);
+        const cs1 = new TextInputBuilder().setCustomId('clientSeed1').setLabel('clientSeed1 (block hash or seed)').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(MAX_CLIENT_SEED_LENGTH);
+        const cs2 = new TextInputBuilder().setCustomId('clientSeed2').setLabel('clientSeed2 (creator input)').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(MAX_CLIENT_SEED_LENGTH);
         modal.addComponents(new ActionRowBuilder().addComponents(cs1), new ActionRowBuilder().addComponents(cs2));
         await interaction.showModal(modal);
       }
     } catch (err) {
-      console.error('interaction handling error', err);
-      // If Unknown Interaction (10062) or similar, try restart
-      if (err.code === 10062 || (err.message && err.message.includes('Unknown interaction'))) {
-        console.warn('Unknown interaction detected — attempting client restart');
-        tryRestartClient();
-      }
+      // Unknown interaction (10062) only means this one interaction expired — never a reason to restart
+      if (err.code === 10062) console.warn('interaction expired before it was answered', customId);
+      else console.error('interaction handling error', err);
     }
 
   } catch (err) {
@@ -356,160 +1899,252 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
+// Draws currently playing in this process (guards against double runs on resume)
+const ACTIVE_DRAWS = new Set();
+
+// A failed draw leaves the giveaway running (resumeGiveaways retries it on the next start) until staff cancel
+// it. Say so in the giveaway channel, or in a DM to the creator when the channel is what is gone.
+async function reportDrawFailure(gwId, e) {
+  console.error('runBattleRoyale error', gwId, e);
+  const gw = GIVEAWAYS[gwId];
+  if (!gw || gw.state !== 'running') return;
+  const content = `The draw for "${gw.setup.name}" (\`${gw.id}\`) failed: ${e.message}. It is retried when the bot restarts; staff can stop it with /giveaway cancel.`;
+  const sent = await renderer.send(gw.channelId, gw.createdBy ? `<@${gw.createdBy}> ${content}` : content);
+  if (sent || !gw.createdBy) return;
+  try {
+    const user = await client.users.fetch(gw.createdBy);
+    await user.send(content);
+  } catch (err) {
+    console.warn('draw failure notice failed', gwId, err.message);
+  }
+}
+
 // Core: runBattleRoyale
-async function runBattleRoyale(gwId) {
+async function runBattleRoyale(gwId, { resumed = false } = {}) {
+  if (ACTIVE_DRAWS.has(gwId)) return;
+  ACTIVE_DRAWS.add(gwId);
+  try {
+    await playBattleRoyale(gwId, resumed);
+  } finally {
+    ACTIVE_DRAWS.delete(gwId);
+  }
+}
+
+async function playBattleRoyale(gwId, resumed) {
   const gw = GIVEAWAYS[gwId];
   if (!gw) throw new Error('Giveaway not found');
+  if (gw.state !== 'running') throw new Error(`Giveaway is ${gw.state}, not running`);
   if (!gw.clientSeed1 || !gw.clientSeed2) throw new Error('Seeds missing');
-  const channel = await client.channels.fetch(gw.channelId).catch(() => null);
+  const channel = await renderer.channel(gw.channelId);
   if (!channel) throw new Error('Channel not found');
-  const msg = await channel.messages.fetch(gw.messageId).catch(() => null);
+  const msg = await renderer.message(gw.channelId, gw.messageId);
   if (!msg) throw new Error('Giveaway message not found');
 
+  // crashed after the winners were stored but before everything was announced
+  if (gw.winner) {
+    await announceWinner(gwId, msg);
+    return;
+  }
+
   if (gw.entries.length === 0) {
     await channel.send('No entries — cannot run Battle Royale.');
+    setState(gw, 'finished');
+    gw.finishedAt = Date.now();
+    persistGiveaway(gwId);
+    refreshGiveaway(gw);
     return;
   }
 
-  // compute a provably-fair float per entry using entry index (0..n-1)
-  const entries = gw.entries.slice();
-  for (let i = 0; i < entries.length; i++) {
-    const e = entries[i];
-    const message = `${gw.clientSeed1}:${gw.clientSeed2}:${i}`;
-    e.pfFloat = hmacFloat(gw.serverSeed, message);
+  gw.drawStartedAt = gw.drawStartedAt || Date.now();
+  gw.prizeConfig = gw.prizeConfig || normalizePrizeConfig(gw.setup);
+  gw.schedule = gw.schedule || DEFAULT_SCHEDULE;
+  persistGiveaway(gwId);
+  if (resumed) {
+    await channel.send('The bot restarted during this draw — replaying the Battle Royale from the stored seeds. The draw is deterministic, so the winner is unchanged.');
   }
 
-  // sort descending => highest floats first (so top floats are winners)
-  entries.sort((a,b) => b.pfFloat - a.pfFloat);
-
-  // rounds percentages (rounds 1-3). Round 4 eliminates until 1 remains.
-  const rounds = [0.30, 0.40, 0.25];
+  // the whole draw (and its timeline) is decided up front; below we only render it
+  const schedule = gw.schedule;
+  const plan = computeBattleRoyale({
+    serverSeed: gw.serverSeed,
+    clientSeed1: gw.clientSeed1,
+    clientSeed2: gw.clientSeed2,
+    entries: gw.entries,
+    prizeConfig: gw.prizeConfig,
+    schedule
+  });
 
-  // We'll maintain currentEntries (sorted desc)
-  let currentEntries = entries.slice();
-
-  // announce start
-  await channel.send({ content: `Battle Royale starting now with ${currentEntries.length} entries. Rounds will run with 3s gaps and each round runs for 4.5s (visual).` });
-
-  // helper to render per-user remaining with strikethrough if 0
-  function renderState(entriesList) {
-    const byUser = {};
-    for (const e of entriesList) byUser[e.userId] = (byUser[e.userId] || 0) + 1;
-    const lines = [];
-    for (const [uid, cnt] of Object.entries(byUser)) {
-      lines.push(cnt > 0 ? `• <@${uid}> — ${cnt} entries` : `~~• <@${uid}> — 0 entries~~`);
-    }
-    return lines.slice(0, 100).join('\n') || 'No participants.';
-  }
+  const { winnerCount, allowMultipleWins } = gw.prizeConfig;
+  const stopText = winnerCount === 1 ? '1' : `${winnerCount} ${allowMultipleWins ? 'entries' : 'players'}`;
+  const alive = remaining => plan.ordered.slice(0, remaining);
 
-  // perform rounds 1-3
-  for (let r = 0; r < rounds.length; r++) {
-    const eliminatePercent = rounds[r];
-    await new Promise(res => setTimeout(res, 3000)); // 3s gap before round
+  const startedAt = Date.now();
+  for (const event of plan.timeline) {
+    const wait = event.t - (Date.now() - startedAt);
+    if (wait > 0) await new Promise(res => setTimeout(res, wait));
+    if (gw.state !== 'running') return; // cancelled mid-draw
+    const round = plan.rounds[event.roundIndex];
+    publishDrawEvent(gw, plan, event);
 
-    // visual progression over 4.5s -> updates
-    const updates = 5;
-    for (let u = 0; u < updates; u++) {
-      // fraction of elimination progressed
-      const frac = (u + 1) / updates;
-      const eliminateCount = Math.floor(eliminatePercent * currentEntries.length * frac);
-      const previewEntries = currentEntries.slice(0, Math.max(1, currentEntries.length - eliminateCount));
+    if (event.type === 'start') {
+      await channel.send({ content: `Battle Royale starting now with ${event.remaining} entries. Rounds will run with ${schedule.gapSeconds}s gaps and each round runs for ${schedule.roundSeconds}s (visual).` });
+    } else if (event.type === 'preview' && round.type !== 'final') {
+      const target = round.type === 'count' ? `${round.eliminateCount} entries` : `${Math.round(round.eliminatePercent * 100)}% total`;
       const embed = new EmbedBuilder()
-        .setTitle(`Round ${r+1} — Eliminating ${Math.round(eliminatePercent * 100)}% total`)
-        .setDescription(`Progress ${u+1}/${updates}`)
+        .setTitle(`Round ${round.round} — Eliminating ${target}`)
+        .setDescription(`Progress ${event.update}/${event.updates}`)
         .addFields(
-          { name: 'Remaining entries', value: `${previewEntries.length}`, inline: true },
-          { name: 'Round progress', value: `${Math.round(frac * 100)}%`, inline: true },
+          { name: 'Remaining entries', value: `${event.remaining}`, inline: true },
+          { name: 'Round progress', value: `${Math.round(event.progress * 100)}%`, inline: true },
         )
-        .addFields({ name: 'Participants (sample)', value: renderState(previewEntries) });
-      try { await msg.edit({ embeds: [embed] }); } catch (e) { console.warn('edit failed during round preview', e); }
-      await new Promise(res => setTimeout(res, Math.floor(4500 / updates)));
-    }
-
-    // apply elimination: keep top (1 - eliminatePercent)
-    const keepCount = Math.max(1, Math.floor(currentEntries.length * (1 - eliminatePercent)));
-    const eliminated = currentEntries.slice(keepCount);
-    currentEntries = currentEntries.slice(0, keepCount);
-
-    // announce round result
-    const embedResult = new EmbedBuilder()
-      .setTitle(`Round ${r+1} finished`)
-      .setDescription(`${eliminated.length} entries eliminated this round.`)
-      .addFields({ name: 'Remaining entries', value: `${currentEntries.length}`, inline: true })
-      .addFields({ name: 'Participants (sample)', value: renderState(currentEntries) });
-    try { await msg.channel.send({ embeds: [embedResult] }); } catch (e) { console.warn('send fail', e); }
-  }
-
-  // Round 4: eliminate gradually until 1 remains.
-  // We'll perform a visual progressive elimination over repeated small steps inside 4.5s segments until only 1 remains.
-  await new Promise(res => setTimeout(res, 3000)); // 3s gap before final round
-
-  // to make "slow elimination" we will eliminate floor(n * 0.25) then keep eliminating in small chunks each 1s until 1 left.
-  // But to respect "each round runs 4.5s", we'll do iterative mini-rounds of 4.5s visual windows; if more time needed, continue.
-  let finalRoundCount = 0;
-  while (currentEntries.length > 1) {
-    finalRoundCount++;
-    // In each pass eliminate a fraction proportional: e.g., 1 to 2 entries each pass depending on size.
-    const toEliminate = Math.max(1, Math.floor(currentEntries.length * 0.12)); // small chunk
-    const updates = 5;
-    for (let u = 0; u < updates; u++) {
-      const frac = (u + 1) / updates;
-      const elimCountNow = Math.min(currentEntries.length - 1, Math.floor(toEliminate * frac));
-      const previewEntries = currentEntries.slice(0, Math.max(1, currentEntries.length - elimCountNow));
+        .addFields({ name: 'Participants left', value: participantSummary(alive(event.remaining)) });
+      // not awaited: the renderer coalesces previews if the channel can't keep up, the timeline never waits
+      renderer.update(gw.channelId, gw.messageId, { embeds: [embed] });
+    } else if (event.type === 'preview') {
       const embed = new EmbedBuilder()
-        .setTitle(`Final Round — Stage ${finalRoundCount}`)
-        .setDescription(`Eliminating gradually until 1 remains.`)
-        .addFields({ name: 'Remaining entries', value: `${previewEntries.length}`, inline: true })
-        .addFields({ name: 'Participants (sample)', value: renderState(previewEntries) });
-      try { await msg.edit({ embeds: [embed] }); } catch (e) { console.warn('edit fail final round preview', e); }
-      await new Promise(res => setTimeout(res, Math.floor(4500 / updates)));
+        .setTitle(`Final Round — Stage ${round.stage}`)
+        .setDescription(`Eliminating gradually until ${stopText} remain${winnerCount === 1 ? 's' : ''}.`)
+        .addFields({ name: 'Remaining entries', value: `${event.remaining}`, inline: true })
+        .addFields({ name: 'Participants left', value: participantSummary(alive(event.remaining)) });
+      renderer.update(gw.channelId, gw.messageId, { embeds: [embed] });
+    } else if (event.type === 'round_end') {
+      // announce round result
+      const embedResult = new EmbedBuilder()
+        .setTitle(`Round ${round.round} finished`)
+        .setDescription(`${event.eliminated} entries eliminated this round.`)
+        .addFields({ name: 'Remaining entries', value: `${event.remaining}`, inline: true })
+        .addFields({ name: 'Participants left', value: participantSummary(alive(event.remaining)) });
+      try { await msg.channel.send({ embeds: [embedResult] }); } catch (e) { console.warn('send fail', e); }
     }
-
-    // apply elimination
-    const keepCount = Math.max(1, currentEntries.length - toEliminate);
-    const eliminated = currentEntries.slice(keepCount);
-    currentEntries = currentEntries.slice(0, keepCount);
-
-    // brief pause 1s between passes (also ensures embed live updates anywhere else)
-    await new Promise(res => setTimeout(res, 1000));
   }
 
-  // Winner is the single remaining entry
-  const winnerEntry = currentEntries[0];
-  gw.winner = winnerEntry;
-  gw.finalFloats = entries.map(e => ({ id: e.id, userId: e.userId, pfFloat: e.pfFloat }));
+  // Winners are the top remaining entries, in place order
+  gw.winner = plan.winners;
+  gw.finalFloats = plan.entries.map(e => ({ id: e.id, userId: e.userId, pfFloat: e.pfFloat }));
   persistGiveaway(gwId);
 
-  // Announce winner with verify details
-  const winnerEmbed = new EmbedBuilder()
-    .setTitle(`🏆 Winner: <@${winnerEntry.userId}>`)
-    .setDescription(`Winning entry id: ${winnerEntry.id}\nFloat: ${winnerEntry.pfFloat}`)
-    .addFields(
-      { name: 'ClientSeed1', value: `${gw.clientSeed1}`, inline: false },
-      { name: 'ClientSeed2', value: `${gw.clientSeed2}`, inline: false },
-      { name: 'ServerSeed (public)', value: `${gw.serverSeed}`, inline: false }
-    )
-    .setTimestamp();
+  await announceWinner(gwId, msg);
+}
+
+async function announceWinner(gwId, msg) {
+  const gw = GIVEAWAYS[gwId];
+  if (gw.state !== 'running') return; // cancelled mid-draw
+  const winners = winnersOf(gw);
+
+  // Announce winners with verify details
+  const winnerEmbed = new EmbedBuilder(winnerAnnouncement({
+    setupName: gw.setup.name,
+    winners,
+    clientSeed1: gw.clientSeed1,
+    clientSeed2: gw.clientSeed2,
+    serverSeedHash: gw.serverSeedHash
+  })).setTimestamp();
   await msg.channel.send({ embeds: [winnerEmbed] });
 
-  // Edit original embed to show ended
-  try {
-    const endEmbed = new EmbedBuilder()
-      .setTitle(`Giveaway — ${gw.setup.name} (Ended)`)
-      .setDescription(`Winner: <@${winnerEntry.userId}>`)
-      .addFields({ name: 'Total entries', value: `${gw.entries.length}`, inline: true })
-      .addFields({ name: 'Winner entry', value: `${winnerEntry.id}`, inline: true });
-    const components = []; // disable buttons by removing
-    await msg.edit({ embeds: [endEmbed], components }).catch(e => console.warn('edit original embed after end failed', e));
-  } catch (e) {
-    console.warn('final edit failed', e);
+  // Reveal the server seed only after the winner is out
+  gw.seedCommitment.revealedAt = Date.now();
+  persistGiveaway(gwId);
+  const revealEmbed = new EmbedBuilder()
+    .setTitle('Server seed revealed')
+    .setDescription(`Check that SHA-256(ServerSeed) matches the commitment posted when the giveaway started.\nReplay the draw: ${PUBLIC_URL}/verify.html?id=${gwId}`)
+    .addFields(
+      { name: 'ServerSeed', value: `${gw.serverSeed}`, inline: false },
+      { name: 'Commitment (SHA-256)', value: `${gw.serverSeedHash}`, inline: false }
+    );
+  await msg.channel.send({ embeds: [revealEmbed] });
+
+  if (gw.setup.attachReport) {
+    try {
+      const file = new AttachmentBuilder(Buffer.from(reportCsv(buildReport(gw))), { name: `${gw.id}-report.csv` });
+      await msg.channel.send({ content: 'Full audit report (every entry, its HMAC message, float and elimination round):', files: [file] });
+    } catch (e) {
+      console.warn('attach report failed', gwId, e.message);
+    }
   }
 
-  // Save final state
+  // Claims are stored with the final state; their messages go out after it
+  if (gw.setup.claimMinutes && !gw.claims) for (const winner of winners) openClaim(gw, winner, gw.setup.claimMinutes);
+
+  // Save final state; the original message switches to the ended embed (buttons removed)
+  setState(gw, 'finished');
+  gw.finishedAt = Date.now();
   GIVEAWAYS[gwId] = gw;
   persistGiveaway(gwId);
+  DRAW_PROGRESS.delete(gwId);
+  emitEvent(gw, 'giveaway.winners_picked', { winners: winnersOf(gw).map(serializeWinner) });
+  await refreshGiveaway(gw);
+  if (gw.claims) await notifyClaims(gw);
+}
+
+function buildEndedEmbed(gw) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Giveaway — ${gw.setup.name} (Ended)`)
+    .setDescription(winnersOf(gw).map(w => `#${w.place} ${w.prize}: <@${w.userId}> (entry ${w.id})`).join('\n'))
+    .addFields({ name: 'Total entries', value: `${gw.entries.length}`, inline: true });
+  if (gw.rerolls && gw.rerolls.length) embed.addFields({ name: 'Rerolls', value: `${gw.rerolls.length}`, inline: true });
+  if (gw.claims) embed.addFields({ name: 'Claims', value: describeClaims(gw) || 'None', inline: false });
+  return embed;
+}
+
+function buildCancelledEmbed(gw) {
+  return new EmbedBuilder()
+    .setTitle(`Giveaway — ${gw.setup.name} (Cancelled)`)
+    .setDescription('This giveaway was cancelled by staff.')
+    .addFields({ name: 'Total entries', value: `${gw.entries.length}`, inline: true });
+}
+
+// Pick up unfinished giveaways from storage (startup and after a client restart)
+async function resumeGiveaways() {
+  for (const gw of Object.values(GIVEAWAYS)) {
+    if (gw && gw.claims) notifyClaims(gw).catch(e => console.error('notifyClaims error', gw.id, e));
+    if (!gw || !gw.id || !gw.messageId || isFinished(gw)) continue;
+
+    // the draw was interrupted; replay it
+    if (gw.state === 'running') {
+      console.log(`Resuming draw for ${gw.id}`);
+      runBattleRoyale(gw.id, { resumed: true }).catch(e => reportDrawFailure(gw.id, e));
+      continue;
+    }
+
+    if (gw.state === 'collecting' && Date.now() >= gw.endAt) closeCollection(gw, ' while the bot was offline');
+    else refreshGiveaway(gw);
+    if (gw.state === 'awaiting_seeds' && gw.autoRun) autoDraw(gw).catch(e => reportDrawFailure(gw.id, e));
+  }
 }
 
+// Data from before multi-guild support has no guildId. Giveaways take their channel's guild; setups and
+// schedules are only claimed automatically while the bot is in a single guild (otherwise: Assign in the web UI).
+async function assignLegacyGuilds() {
+  for (const gw of Object.values(GIVEAWAYS)) {
+    if (gw.guildId || !gw.channelId) continue;
+    const channel = await renderer.channel(gw.channelId);
+    if (!channel || !channel.guildId) continue;
+    gw.guildId = channel.guildId;
+    persistGiveaway(gw.id);
+  }
+  const onlyGuild = client.guilds.cache.size === 1 ? client.guilds.cache.firstKey() : null;
+  const setups = Object.values(SETUPS).filter(s => !s.guildId);
+  if (setups.length && !onlyGuild) console.warn(`${setups.length} setup(s) belong to no server yet — assign them in the web UI`);
+  if (onlyGuild) for (const setup of setups) setup.guildId = onlyGuild;
+  if (onlyGuild && setups.length) {
+    saveSetups();
+    console.log(`Assigned ${setups.length} setup(s) to server ${onlyGuild}`);
+  }
+  // a schedule follows its setup
+  const schedules = Object.values(SCHEDULES).filter(sc => !sc.guildId && SETUPS[sc.setupId] && SETUPS[sc.setupId].guildId);
+  for (const schedule of schedules) schedule.guildId = SETUPS[schedule.setupId].guildId;
+  if (schedules.length) saveSchedules();
+}
+
+client.on(Events.ClientReady, () => {
+  console.log(`Discord client ready as ${client.user.tag}`);
+  registerCommands().catch(e => console.error('registerCommands error', e));
+  assignLegacyGuilds().catch(e => console.error('assignLegacyGuilds error', e));
+  resumeGiveaways().catch(e => console.error('resumeGiveaways error', e));
+  startDeadlineTimer();
+  startScheduleTimer();
+});
+
 // login the client
 (async () => {
   if (!BOT_TOKEN) {
@@ -523,3 +2158,17 @@ async function runBattleRoyale(gwId) {
     console.error('Discord login failed', e);
   }
 })();
+
+archiveOldGiveaways();
+setInterval(archiveOldGiveaways, 60 * 60 * 1000);
+webhooks.start();
+
+// flush and close storage (the SQLite file keeps a write-ahead log open) before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`${signal} received, shutting down`);
+    try { webhooks.flush(); } catch (e) { console.error('webhook log flush error', e); }
+    try { storage.close(); } catch (e) { console.error('storage close error', e); }
+    process.exit(0);
+  });
+}
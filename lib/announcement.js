@@ -0,0 +1,32 @@
+/**
+ * lib/announcement.js
+ *
+ * The winner announcement posted when a draw ends, as embed data (`new EmbedBuilder(data)`). It has to fit
+ * Discord's embed limits at any size a setup allows (MAX_WINNERS places, 100-character prizes and names):
+ * a send that fails there happens before the server seed is revealed and leaves the giveaway running.
+ * - winners go in the description, one line each, cut with listWithin to what the seed fields leave over
+ * - seeds are clipped to a field's length (seeds given before they were capped can be longer)
+ * simulate.js --check-vectors builds one at the largest configuration and checks the limits.
+ */
+
+import { listWithin, clip, FIELD_LIMIT, DESCRIPTION_LIMIT, EMBED_LIMIT } from './participants.js';
+
+const TITLE_LIMIT = 256;
+
+// Characters Discord counts toward EMBED_LIMIT
+export function embedLength({ title = '', description = '', fields = [], footer = null }) {
+  return title.length + (description || '').length + (footer ? footer.text.length : 0) + fields.reduce((n, f) => n + f.name.length + f.value.length, 0);
+}
+
+// winners: [{ place, prize, userId, username, id, pfFloat }] in place order
+export function winnerAnnouncement({ setupName, winners, clientSeed1, clientSeed2, serverSeedHash }) {
+  const title = clip(winners.length === 1 ? `🏆 Winner: ${winners[0].username || winners[0].userId}` : `🏆 Winners — ${setupName}`, TITLE_LIMIT);
+  const fields = [
+    { name: 'ClientSeed1', value: clip(`${clientSeed1}`, FIELD_LIMIT), inline: false },
+    { name: 'ClientSeed2', value: clip(`${clientSeed2}`, FIELD_LIMIT), inline: false },
+    { name: 'ServerSeed commitment (SHA-256)', value: `${serverSeedHash}`, inline: false }
+  ];
+  const budget = Math.min(DESCRIPTION_LIMIT, EMBED_LIMIT - embedLength({ title, fields }));
+  const lines = winners.map(w => `**#${w.place} — ${w.prize}**: <@${w.userId}> · entry ${w.id} · float ${w.pfFloat}`);
+  return { title, description: listWithin(lines, { budget, more: n => `…and ${n} more (see the verify page)` }), fields };
+}
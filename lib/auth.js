@@ -0,0 +1,169 @@
+/**
+ * lib/auth.js
+ *
+ * Web UI / API authentication. No Discord involved, so it works the same on a laptop.
+ * - Accounts: local username + password (scrypt), logged in with a session cookie
+ * - Access tokens: issued by an editor (API) or from the command line (auth-cli.js); sent as
+ *   `Authorization: Bearer <token>`. Only a SHA-256 of each token is stored.
+ * - Roles: viewer (read) < editor (read + write + token management)
+ * - Guilds: an account or token may be limited to some Discord guilds (`guilds`, empty = every guild)
+ * - Accounts and tokens live in ./data/auth.json; sessions are in memory (a restart logs everyone out)
+ */
+
+import crypto from 'crypto';
+import { writeFileAtomic, readJsonFile } from './storage.js';
+import { SNOWFLAKE } from './setupSchema.js';
+
+export const ROLES = ['viewer', 'editor'];
+export const SESSION_COOKIE = 'ga_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5; // per IP per window
+
+export function roleAllows(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed) && ROLES.includes(needed);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+}
+
+function passwordMatches(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export function canAccessGuild(identity, guildId) {
+  return !identity.guilds.length || identity.guilds.includes(guildId);
+}
+
+function guildList(guilds) {
+  const list = [...new Set((guilds || []).map(id => String(id).trim()).filter(Boolean))];
+  if (list.some(id => !SNOWFLAKE.test(id))) throw new Error('guilds must be Discord server ids');
+  return list;
+}
+
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+export class AuthStore {
+  constructor(file) {
+    this.file = file;
+    this.data = readJsonFile(file, {});
+    this.data.users = this.data.users || {};
+    this.data.tokens = this.data.tokens || {};
+    this.sessions = new Map(); // sid -> { username, role, expiresAt }
+    this.loginFailures = new Map(); // ip -> { count, since }
+  }
+
+  save() {
+    writeFileAtomic(this.file, JSON.stringify(this.data, null, 2));
+  }
+
+  isEmpty() {
+    return !Object.keys(this.data.users).length && !Object.keys(this.data.tokens).length;
+  }
+
+  setUser(username, role, password, guilds = []) {
+    if (!username) throw new Error('username is required');
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    if (!password || String(password).length < 8) throw new Error('password must be at least 8 characters');
+    this.data.users[username] = { role, guilds: guildList(guilds), passwordHash: hashPassword(password), updatedAt: Date.now() };
+    this.save();
+    // role or password changed: existing sessions of this user must log in again
+    for (const [sid, s] of this.sessions) if (s.username === username) this.sessions.delete(sid);
+  }
+
+  removeUser(username) {
+    if (!this.data.users[username]) return false;
+    delete this.data.users[username];
+    this.save();
+    for (const [sid, s] of this.sessions) if (s.username === username) this.sessions.delete(sid);
+    return true;
+  }
+
+  listUsers() {
+    return Object.entries(this.data.users).map(([username, u]) => ({ username, role: u.role, guilds: u.guilds || [], updatedAt: u.updatedAt }));
+  }
+
+  // Returns the plain token once; afterwards only its hash exists
+  issueToken(name, role, createdBy, guilds = []) {
+    if (!name) throw new Error('token name is required');
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    const id = crypto.randomBytes(4).toString('hex');
+    const token = `gat_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    this.data.tokens[id] = { name, role, guilds: guildList(guilds), hash: sha256(token), createdBy, createdAt: Date.now(), lastUsedAt: null };
+    this.save();
+    return { id, token };
+  }
+
+  revokeToken(id) {
+    if (!this.data.tokens[id]) return false;
+    delete this.data.tokens[id];
+    this.save();
+    return true;
+  }
+
+  listTokens() {
+    return Object.entries(this.data.tokens).map(([id, t]) => ({ id, name: t.name, role: t.role, guilds: t.guilds || [], createdBy: t.createdBy, createdAt: t.createdAt, lastUsedAt: t.lastUsedAt }));
+  }
+
+  // { ok, session?, error?, retryAfterMs? } — failures are throttled per IP
+  login(username, password, ip = '') {
+    const now = Date.now();
+    const failures = this.loginFailures.get(ip);
+    if (failures && now - failures.since < LOGIN_WINDOW_MS && failures.count >= LOGIN_MAX_FAILURES) {
+      return { ok: false, error: 'too many failed logins, try again later', retryAfterMs: failures.since + LOGIN_WINDOW_MS - now };
+    }
+    const user = this.data.users[username];
+    if (!user || !passwordMatches(password, user.passwordHash)) {
+      const fresh = !failures || now - failures.since >= LOGIN_WINDOW_MS;
+      this.loginFailures.set(ip, { count: fresh ? 1 : failures.count + 1, since: fresh ? now : failures.since });
+      return { ok: false, error: 'invalid username or password' };
+    }
+    this.loginFailures.delete(ip);
+    const sid = crypto.randomBytes(32).toString('base64url');
+    const session = { username, role: user.role, guilds: user.guilds || [], expiresAt: now + SESSION_TTL_MS };
+    this.sessions.set(sid, session);
+    return { ok: true, sid, session };
+  }
+
+  logout(sid) {
+    this.sessions.delete(sid);
+  }
+
+  // Identity behind a request: { kind: 'session' | 'token', name, role, guilds, sid? } or null.
+  // `allowQueryToken` lets WebSocket clients (stream overlays) pass ?token=, since they cannot set headers.
+  authenticate(req, { allowQueryToken = false } = {}) {
+    const header = req.headers.authorization || '';
+    let token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    if (!token && allowQueryToken) token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token) {
+      const id = token.split('_')[1];
+      const t = this.data.tokens[id];
+      if (!t || t.hash !== sha256(token)) return null;
+      // remember usage at most once a minute to keep writes down
+      if (!t.lastUsedAt || Date.now() - t.lastUsedAt > 60000) { t.lastUsedAt = Date.now(); this.save(); }
+      return { kind: 'token', name: `token:${id} (${t.name})`, role: t.role, guilds: t.guilds || [] };
+    }
+
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sid && this.sessions.get(sid);
+    if (!session) return null;
+    if (Date.now() > session.expiresAt) { this.sessions.delete(sid); return null; }
+    return { kind: 'session', name: session.username, role: session.role, guilds: session.guilds, sid };
+  }
+}
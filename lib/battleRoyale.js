@@ -0,0 +1,272 @@
+/**
+ * lib/battleRoyale.js
+ *
+ * Pure, deterministic Battle Royale engine — no Discord, no timers, no I/O.
+ * - Seeding: HMAC-SHA512(serverSeed, `${clientSeed1}:${clientSeed2}:${entryIndex}`) -> float in [0,1)
+ * - Ordering: entries sorted by float, highest first; survivors are always a prefix of that order
+ * - Rounds: per-setup schedule (percentage or fixed-count rounds, then final-round chunks)
+ * - Output: rounds, winners and a timed event timeline that index.js renders and simulate.js prints
+ */
+
+import crypto from 'crypto';
+
+// Fresh server seed per giveaway (commit-reveal)
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Client seeds come from the creator's modal or a schedule; both stop here
+export const MAX_CLIENT_SEED_LENGTH = 200;
+
+export function commitServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// HMAC -> float in [0,1)
+export function hmacFloat(serverSeed, message) {
+  const h = crypto.createHmac('sha512', serverSeed).update(message).digest('hex');
+  const prefix = h.slice(0, 13); // 13 hex chars -> up to 52 bits
+  const intVal = parseInt(prefix, 16);
+  const denom = Math.pow(16, 13);
+  return intVal / denom;
+}
+
+// Round plan (per setup, saved on the giveaway): each round eliminates a fraction or a fixed count,
+// then the final round removes chunks (fraction or count) until the winners remain.
+// Default: 30% / 40% / 25%, then 12% chunks, 3s gaps, 4.5s rounds with 5 preview updates.
+export const DEFAULT_SCHEDULE = {
+  rounds: [{ eliminatePercent: 0.30 }, { eliminatePercent: 0.40 }, { eliminatePercent: 0.25 }],
+  finalChunkPercent: 0.12,
+  finalChunkCount: null,
+  gapSeconds: 3,
+  roundSeconds: 4.5,
+  previewUpdates: 5,
+  finalPauseSeconds: 1
+};
+export const MAX_WINNERS = 20; // the winner announcement lists every place (lib/announcement.js)
+
+// Winner count / prize names / multi-win flag from a setup, normalized so the draw can rely on them
+export function normalizePrizeConfig(setup = {}) {
+  const winnerCount = Math.min(MAX_WINNERS, Math.max(1, parseInt(setup.winnerCount, 10) || 1));
+  const names = Array.isArray(setup.prizes) ? setup.prizes : [];
+  const prizes = [];
+  for (let i = 0; i < winnerCount; i++) prizes.push(names[i] ? String(names[i]) : `Place ${i + 1}`);
+  return { winnerCount, prizes, allowMultipleWins: !!setup.allowMultipleWins };
+}
+
+// Validate a schedule from the API; returns { errors, schedule } with defaults filled in
+export function parseSchedule(raw) {
+  const errors = [];
+  if (raw === undefined || raw === null) return { errors, schedule: DEFAULT_SCHEDULE };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { errors: ['schedule must be an object'], schedule: DEFAULT_SCHEDULE };
+  const num = (key, min, max, fallback) => {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') return fallback;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < min || n > max) { errors.push(`schedule.${key} must be between ${min} and ${max}`); return fallback; }
+    return n;
+  };
+
+  let rounds = DEFAULT_SCHEDULE.rounds;
+  if (raw.rounds !== undefined) {
+    if (!Array.isArray(raw.rounds) || raw.rounds.length > 10) {
+      errors.push('schedule.rounds must be an array of at most 10 rounds');
+    } else {
+      rounds = raw.rounds.map((r, i) => {
+        const pct = r && r.eliminatePercent !== undefined && r.eliminatePercent !== null ? Number(r.eliminatePercent) : null;
+        const count = r && r.eliminateCount !== undefined && r.eliminateCount !== null ? Number(r.eliminateCount) : null;
+        if ((pct === null) === (count === null)) errors.push(`schedule.rounds[${i}] needs exactly one of eliminatePercent or eliminateCount`);
+        else if (pct !== null && !(pct > 0 && pct < 1)) errors.push(`schedule.rounds[${i}].eliminatePercent must be between 0 and 1 (exclusive)`);
+        else if (count !== null && !(Number.isInteger(count) && count >= 1)) errors.push(`schedule.rounds[${i}].eliminateCount must be a positive integer`);
+        return pct !== null ? { eliminatePercent: pct } : { eliminateCount: count };
+      });
+    }
+  }
+
+  const finalChunkCount = num('finalChunkCount', 1, 100000, null);
+  if (finalChunkCount !== null && !Number.isInteger(finalChunkCount)) errors.push('schedule.finalChunkCount must be an integer');
+  const finalChunkPercent = finalChunkCount !== null ? null : num('finalChunkPercent', 0.001, 0.999, DEFAULT_SCHEDULE.finalChunkPercent);
+  const previewUpdates = num('previewUpdates', 1, 10, DEFAULT_SCHEDULE.previewUpdates);
+  if (!Number.isInteger(previewUpdates)) errors.push('schedule.previewUpdates must be an integer');
+
+  const schedule = {
+    rounds,
+    finalChunkPercent,
+    finalChunkCount,
+    gapSeconds: num('gapSeconds', 0, 60, DEFAULT_SCHEDULE.gapSeconds),
+    roundSeconds: num('roundSeconds', 0.5, 60, DEFAULT_SCHEDULE.roundSeconds),
+    previewUpdates,
+    finalPauseSeconds: num('finalPauseSeconds', 0, 10, DEFAULT_SCHEDULE.finalPauseSeconds)
+  };
+  return errors.length ? { errors, schedule: DEFAULT_SCHEDULE } : { errors, schedule };
+}
+
+export function normalizeSchedule(raw) {
+  return parseSchedule(raw).schedule;
+}
+
+// Deterministic draw: floats per entry index, sort desc, then apply the round plan.
+// Returns the ordered entries, the rounds, the winners and the timeline the Discord layer plays back.
+// Used by runBattleRoyale, the verification API and simulate.js so all of them always agree.
+export function computeBattleRoyale({ serverSeed, clientSeed1, clientSeed2, entries, prizeConfig = normalizePrizeConfig(), schedule = DEFAULT_SCHEDULE }) {
+  const { winnerCount, prizes, allowMultipleWins } = prizeConfig;
+  const scored = entries.map((e, i) => {
+    const message = `${clientSeed1}:${clientSeed2}:${i}`;
+    return { ...e, index: i, message, pfFloat: hmacFloat(serverSeed, message) };
+  });
+
+  // sort descending => highest floats first (so top floats are winners)
+  const ordered = scored.slice().sort((a,b) => b.pfFloat - a.pfFloat);
+
+  // shortest top slice that still holds winnerCount winners (distinct users unless multi-win is allowed)
+  let minKeep = 0;
+  if (allowMultipleWins) {
+    minKeep = Math.min(winnerCount, ordered.length);
+  } else {
+    const seen = new Set();
+    for (minKeep = 0; minKeep < ordered.length && seen.size < winnerCount; minKeep++) seen.add(ordered[minKeep].userId);
+    if (seen.size < winnerCount) minKeep = ordered.length;
+  }
+
+  const rounds = [];
+  let current = ordered.slice();
+  for (let r = 0; r < schedule.rounds.length && current.length; r++) {
+    const { eliminatePercent, eliminateCount } = schedule.rounds[r];
+    // keep top (1 - eliminatePercent), or drop a fixed count
+    const keepCount = eliminateCount
+      ? Math.max(minKeep, current.length - eliminateCount)
+      : Math.max(minKeep, Math.floor(current.length * (1 - eliminatePercent)));
+    rounds.push({
+      type: eliminateCount ? 'count' : 'percent',
+      round: r + 1,
+      eliminatePercent: eliminateCount ? undefined : eliminatePercent,
+      eliminateCount: eliminateCount || undefined,
+      before: current.length,
+      eliminated: current.slice(keepCount),
+      remaining: keepCount
+    });
+    current = current.slice(0, keepCount);
+  }
+
+  let stage = 0;
+  while (current.length > minKeep) {
+    stage++;
+    const toEliminate = schedule.finalChunkCount || Math.max(1, Math.floor(current.length * schedule.finalChunkPercent));
+    const keepCount = Math.max(minKeep, current.length - toEliminate);
+    rounds.push({ type: 'final', round: schedule.rounds.length + 1, stage, before: current.length, eliminated: current.slice(keepCount), remaining: keepCount });
+    current = current.slice(0, keepCount);
+  }
+
+  const winners = [];
+  const wonUsers = new Set();
+  for (const e of current) {
+    if (winners.length >= winnerCount) break;
+    if (!allowMultipleWins && wonUsers.has(e.userId)) continue;
+    wonUsers.add(e.userId);
+    winners.push({ place: winners.length + 1, prize: prizes[winners.length], ...e });
+  }
+
+  const timeline = buildTimeline({ ordered, rounds, winners, schedule });
+  return { entries: scored, ordered, rounds, winners, timeline, durationMs: timeline[timeline.length - 1].t };
+}
+
+// Timed events for playing a plan back. `t` is ms since the draw started; `remaining` is how many of the
+// top `ordered` entries are still alive (survivors are always a prefix of the ordered list).
+//   start -> (preview x N, round_end) per scheduled round -> (preview x N, stage_end) per final stage -> winners
+export function buildTimeline({ ordered, rounds, winners, schedule = DEFAULT_SCHEDULE }) {
+  const gapMs = schedule.gapSeconds * 1000;
+  const updates = schedule.previewUpdates;
+  const stepMs = Math.floor((schedule.roundSeconds * 1000) / updates);
+  const events = [];
+  let t = 0;
+  events.push({ t, type: 'start', remaining: ordered.length });
+
+  const playRound = (round, roundIndex) => {
+    for (let u = 0; u < updates; u++) {
+      // fraction of elimination progressed
+      const progress = (u + 1) / updates;
+      const remaining = Math.max(round.remaining, round.before - Math.floor(round.eliminated.length * progress));
+      events.push({ t, type: 'preview', roundIndex, update: u + 1, updates, progress, remaining });
+      t += stepMs;
+    }
+  };
+
+  rounds.forEach((round, roundIndex) => {
+    if (round.type === 'final') return;
+    t += gapMs; // gap before round
+    playRound(round, roundIndex);
+    events.push({ t, type: 'round_end', roundIndex, eliminated: round.eliminated.length, remaining: round.remaining });
+  });
+
+  const finalIndexes = rounds.map((r, i) => (r.type === 'final' ? i : -1)).filter(i => i >= 0);
+  if (finalIndexes.length) t += gapMs; // gap before final round
+  for (const roundIndex of finalIndexes) {
+    playRound(rounds[roundIndex], roundIndex);
+    events.push({ t, type: 'stage_end', roundIndex, eliminated: rounds[roundIndex].eliminated.length, remaining: rounds[roundIndex].remaining });
+    // brief pause between passes
+    t += schedule.finalPauseSeconds * 1000;
+  }
+
+  events.push({ t, type: 'winners', winners: winners.map(w => w.id) });
+  return events;
+}
+
+// Rerolls, applied in order. Each one replaces a place with the highest float among entries that are
+// still eligible, using HMAC message `${clientSeed1}:${clientSeed2}:${entryIndex}:${nonce}`.
+// Eligible = not owned by any user replaced so far, not a current winning entry, and (unless multi-win
+// is allowed) not owned by another current winner.
+export function applyRerolls({ serverSeed, clientSeed1, clientSeed2, entries, winners, rerolls = [], allowMultipleWins = false }) {
+  const current = winners.slice();
+  const replacedUsers = new Set();
+  const results = [];
+  for (const { nonce, place } of rerolls) {
+    const replaced = current[place - 1];
+    if (!replaced) { results.push({ nonce, place, replaced: null, winner: null }); continue; }
+    replacedUsers.add(replaced.userId);
+    const holders = current.filter((w, i) => i !== place - 1);
+    const heldIds = new Set(holders.map(w => w.id));
+    const heldUsers = new Set(holders.map(w => w.userId));
+    let best = null;
+    entries.forEach((e, i) => {
+      if (replacedUsers.has(e.userId) || heldIds.has(e.id) || (!allowMultipleWins && heldUsers.has(e.userId))) return;
+      const message = `${clientSeed1}:${clientSeed2}:${i}:${nonce}`;
+      const pfFloat = hmacFloat(serverSeed, message);
+      if (!best || pfFloat > best.pfFloat) best = { ...e, index: i, message, pfFloat };
+    });
+    const winner = best ? { place, prize: replaced.prize, rerollNonce: nonce, ...best } : null;
+    results.push({ nonce, place, replaced, winner });
+    if (winner) current[place - 1] = winner;
+  }
+  return { winners: current, rerolls: results };
+}
+
+export function serializeWinner(w) {
+  return w ? { place: w.place, prize: w.prize, index: w.index, id: w.id, userId: w.userId, pfFloat: w.pfFloat, rerollNonce: w.rerollNonce } : null;
+}
+
+// Serializable replay for the verify API / page
+export function buildVerification({ serverSeed, clientSeed1, clientSeed2, entries, prizeConfig, schedule = DEFAULT_SCHEDULE, rerolls = [] }) {
+  const plan = computeBattleRoyale({ serverSeed, clientSeed1, clientSeed2, entries, prizeConfig, schedule });
+  const rerolled = applyRerolls({ serverSeed, clientSeed1, clientSeed2, entries, winners: plan.winners, rerolls, allowMultipleWins: !!(prizeConfig && prizeConfig.allowMultipleWins) });
+  return {
+    serverSeed,
+    serverSeedHash: commitServerSeed(serverSeed),
+    clientSeed1,
+    clientSeed2,
+    prizeConfig: prizeConfig || normalizePrizeConfig(),
+    schedule,
+    entries: plan.entries.map(e => ({ index: e.index, id: e.id, userId: e.userId, username: e.username, message: e.message, pfFloat: e.pfFloat })),
+    rounds: plan.rounds.map(r => ({
+      type: r.type,
+      round: r.round,
+      stage: r.stage,
+      eliminatePercent: r.eliminatePercent,
+      eliminateCount: r.eliminateCount,
+      before: r.before,
+      remaining: r.remaining,
+      eliminated: r.eliminated.map(e => e.id)
+    })),
+    drawWinners: plan.winners.map(serializeWinner),
+    rerolls: rerolled.rerolls.map(r => ({ nonce: r.nonce, place: r.place, replacedId: r.replaced ? r.replaced.id : null, winner: serializeWinner(r.winner) })),
+    winners: rerolled.winners.map(serializeWinner)
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * lib/claims.js
+ *
+ * Winner claims: when a setup has `claimMinutes`, every winner gets a Claim button (by DM, or pinged in
+ * the giveaway channel when their DMs are closed) and must press it before the deadline. An unclaimed
+ * place is rerolled verifiably (a normal reroll, see applyRerolls) and the new winner gets a claim of their own.
+ * Pure helpers — index.js owns the timer, the messages and the reroll.
+ *
+ * gw.claims is a log with one row per winner asked, the latest row of a place being its current claim:
+ *   { place, entryId, userId, status, openedAt, deadline, notifiedAt, notifiedVia: 'dm' | 'channel', closedAt }
+ * status: pending -> claimed | expired (deadline passed) | replaced (staff rerolled the place first)
+ */
+
+export const MAX_CLAIM_MINUTES = 7 * 24 * 60;
+
+export function openClaim(gw, winner, minutes, now = Date.now()) {
+  const claim = {
+    place: winner.place,
+    entryId: winner.id,
+    userId: winner.userId,
+    status: 'pending',
+    openedAt: now,
+    deadline: now + minutes * 60 * 1000,
+    notifiedAt: null,
+    notifiedVia: null,
+    closedAt: null
+  };
+  gw.claims = [...(gw.claims || []), claim];
+  return claim;
+}
+
+export function closeClaim(claim, status, now = Date.now()) {
+  claim.status = status;
+  claim.closedAt = now;
+  return claim;
+}
+
+// The current claim of every place, in place order
+export function currentClaims(gw) {
+  const byPlace = new Map();
+  for (const claim of gw.claims || []) byPlace.set(claim.place, claim);
+  return [...byPlace.values()].sort((a, b) => a.place - b.place);
+}
+
+export function pendingClaims(gw, userId = null) {
+  return currentClaims(gw).filter(c => c.status === 'pending' && (!userId || c.userId === userId));
+}
+
+export function expiredClaims(gw, now = Date.now()) {
+  return pendingClaims(gw).filter(c => now >= c.deadline);
+}
@@ -0,0 +1,85 @@
+/**
+ * lib/events.js
+ *
+ * Giveaway lifecycle events. index.js emits one typed event per moment worth knowing about; the live
+ * dashboard (lib/liveHub.js) and outbound webhooks (lib/webhooks.js) subscribe to the same bus.
+ * Every event is { id, type, at, giveawayId, guildId, giveaway, data }: `giveaway` is the public summary
+ * after the change (no server seed until it is revealed) and `data` depends on the type:
+ *
+ *   giveaway.created            —
+ *   giveaway.state_changed      { from, state }
+ *   giveaway.joined             { userId, username, entries }
+ *   giveaway.extended           { endAt }
+ *   giveaway.collection_ended   { entries }
+ *   giveaway.reopened           { endAt }
+ *   giveaway.draw_started       { remaining }
+ *   giveaway.draw_progress      { round, stage, progress, remaining }   (several per second; dashboard only)
+ *   giveaway.round_finished     { round, stage, eliminated, remaining, remainingByUser }
+ *   giveaway.winners_picked     { winners }
+ *   giveaway.rerolled           { place, winner, replacedUserId, reason }
+ *   giveaway.claimed            { userId, places }
+ *   giveaway.cancelled          —
+ */
+
+import crypto from 'crypto';
+
+export const EVENT_TYPES = [
+  'giveaway.created',
+  'giveaway.state_changed',
+  'giveaway.joined',
+  'giveaway.extended',
+  'giveaway.collection_ended',
+  'giveaway.reopened',
+  'giveaway.draw_started',
+  'giveaway.draw_progress',
+  'giveaway.round_finished',
+  'giveaway.winners_picked',
+  'giveaway.rerolled',
+  'giveaway.claimed',
+  'giveaway.cancelled'
+];
+
+// The /ws message type each event goes out as; the dashboard and overlays predate the bus.
+// Events without one are covered by giveaway.state_changed there.
+export const LIVE_TYPES = {
+  'giveaway.created': 'created',
+  'giveaway.state_changed': 'state',
+  'giveaway.joined': 'join',
+  'giveaway.extended': 'updated',
+  'giveaway.draw_started': 'draw_start',
+  'giveaway.draw_progress': 'progress',
+  'giveaway.round_finished': 'round',
+  'giveaway.winners_picked': 'winners',
+  'giveaway.rerolled': 'reroll',
+  'giveaway.claimed': 'claim'
+};
+
+export function newEventId() {
+  return `evt_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Handlers run synchronously in subscription order; one that throws is logged and never stops the
+// others (or the draw that emitted the event)
+export class EventBus {
+  constructor() {
+    this.handlers = new Set();
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  emit(type, { giveawayId = null, guildId = null, giveaway = null, data = {} } = {}) {
+    if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+    const event = { id: newEventId(), type, at: Date.now(), giveawayId, guildId, giveaway, data };
+    for (const handler of this.handlers) {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error(`event handler failed for ${type}`, e);
+      }
+    }
+    return event;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * lib/guildSettings.js
+ *
+ * Per-guild settings: who may run giveaways, where they go by default and how many a guild may have.
+ * Setups, schedules and giveaways each belong to one guild (their `guildId`); these settings are the
+ * rest of what partner servers configure for themselves.
+ * - staffRoleIds: members with any of these roles may start and manage giveaways (Administrator always can)
+ * - defaultChannelId: where /giveaway start and schedules without a channel post
+ * - limits: 0 = no limit
+ */
+
+import { SNOWFLAKE } from './setupSchema.js';
+import { MAX_WINNERS } from './battleRoyale.js';
+
+// limit -> highest value it can be set to
+const LIMITS = {
+  maxActiveGiveaways: 100,
+  maxCollectSeconds: 7 * 24 * 60 * 60,
+  maxWinners: MAX_WINNERS
+};
+
+export function defaultGuildSettings(guildId) {
+  return { guildId, staffRoleIds: [], defaultChannelId: null, limits: { maxActiveGiveaways: 0, maxCollectSeconds: 0, maxWinners: 0 } };
+}
+
+export function validateGuildSettings(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['settings must be a JSON object'], settings: null };
+  const unknown = Object.keys(input).filter(k => !['guildId', 'staffRoleIds', 'defaultChannelId', 'limits', 'updatedBy', 'updatedAt'].includes(k));
+  if (unknown.length) errors.push(`unknown field(s): ${unknown.join(', ')}`);
+
+  const settings = defaultGuildSettings(null);
+  if (input.staffRoleIds !== undefined && input.staffRoleIds !== null) {
+    const ids = Array.isArray(input.staffRoleIds) ? input.staffRoleIds.map(id => String(id).trim()).filter(Boolean) : null;
+    if (!ids || ids.some(id => !SNOWFLAKE.test(id))) errors.push('staffRoleIds: must be an array of Discord role ids');
+    else settings.staffRoleIds = [...new Set(ids)];
+  }
+  if (input.defaultChannelId) {
+    const id = String(input.defaultChannelId).trim();
+    if (!SNOWFLAKE.test(id)) errors.push('defaultChannelId: must be a Discord channel id');
+    else settings.defaultChannelId = id;
+  }
+  const limits = input.limits || {};
+  if (typeof limits !== 'object' || Array.isArray(limits)) errors.push('limits: must be an object');
+  else {
+    const extra = Object.keys(limits).filter(k => !LIMITS[k]);
+    if (extra.length) errors.push(`limits: unknown field(s) ${extra.join(', ')}`);
+    for (const [key, max] of Object.entries(LIMITS)) {
+      if (limits[key] === undefined || limits[key] === null || limits[key] === '') continue;
+      const n = Number(limits[key]);
+      if (!Number.isInteger(n) || n < 0 || n > max) errors.push(`limits.${key}: must be a whole number between 0 and ${max}`);
+      else settings.limits[key] = n;
+    }
+  }
+  return { errors, settings };
+}
+
+export function isGuildStaff(settings, { isAdmin = false, roleIds = [] } = {}) {
+  return isAdmin || settings.staffRoleIds.some(id => roleIds.includes(id));
+}
+
+// Why `setup` may not start in this guild right now (`activeCount` = its unfinished giveaways), or null
+export function guildLimitProblem(settings, setup, activeCount) {
+  const { maxActiveGiveaways, maxCollectSeconds, maxWinners } = settings.limits;
+  if (maxActiveGiveaways && activeCount >= maxActiveGiveaways) return `This server already has ${activeCount} active giveaway(s) (limit ${maxActiveGiveaways}).`;
+  if (maxCollectSeconds && (setup.collectDuration || 30) > maxCollectSeconds) return `Setup "${setup.name}" collects for ${setup.collectDuration}s; this server allows at most ${maxCollectSeconds}s.`;
+  if (maxWinners && (setup.winnerCount || 1) > maxWinners) return `Setup "${setup.name}" has ${setup.winnerCount} winners; this server allows at most ${maxWinners}.`;
+  return null;
+}
@@ -0,0 +1,56 @@
+/**
+ * lib/liveHub.js
+ *
+ * WebSocket channel for the dashboard (public/dashboard.html) and stream overlays.
+ * - Clients connect to /ws (all giveaways), /ws?guild={id} (one guild) or /ws?giveaway={id} (one giveaway)
+ * - Every message is JSON: { type, giveawayId, at, giveaway, ...details }, where `giveaway` is the
+ *   public summary after the change, so clients can just replace what they show
+ * - Nothing is ever read from clients; the channel is push-only
+ * - `authenticate(req)` (optional) gates the upgrade; rejected clients get a 401. An identity with a
+ *   non-empty `guilds` list only receives events of those guilds
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+
+const HEARTBEAT_MS = 30000;
+
+export class LiveHub {
+  constructor(server, { path = '/ws', authenticate = null } = {}) {
+    const verifyClient = authenticate ? (info, done) => {
+      info.req.identity = authenticate(info.req);
+      done(!!info.req.identity, 401, 'login required');
+    } : undefined;
+    this.wss = new WebSocketServer({ server, path, verifyClient });
+    this.wss.on('connection', (ws, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      ws.giveawayId = url.searchParams.get('giveaway') || null; // null = every giveaway
+      ws.guildId = url.searchParams.get('guild') || null;
+      ws.guilds = req.identity && req.identity.guilds.length ? req.identity.guilds : null; // null = every guild
+      ws.alive = true;
+      ws.on('pong', () => { ws.alive = true; });
+      ws.on('error', e => console.warn('live socket error', e.message));
+      ws.send(JSON.stringify({ type: 'hello', at: Date.now(), giveawayId: ws.giveawayId }));
+    });
+
+    // drop connections that stopped answering pings (closed laptops, dead overlays)
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.alive) { ws.terminate(); continue; }
+        ws.alive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_MS);
+    this.wss.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  broadcast(giveawayId, message, guildId = null) {
+    const data = JSON.stringify({ giveawayId, at: Date.now(), ...message });
+    for (const ws of this.wss.clients) {
+      if (ws.readyState !== WebSocket.OPEN) continue;
+      if (ws.giveawayId && ws.giveawayId !== giveawayId) continue;
+      if (ws.guildId && ws.guildId !== guildId) continue;
+      if (ws.guilds && !ws.guilds.includes(guildId)) continue;
+      ws.send(data);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * lib/participants.js
+ *
+ * Participant lists that fit Discord's limits (embed field value: 1024 characters, description: 4096,
+ * everything in one embed: 6000).
+ * - participantSummary: what the giveaway message shows — totals plus the users with the most entries
+ * - participantPage: one page of the ephemeral participant browser, optionally filtered by a search
+ * - listWithin: joins lines until a character budget is used up, then says how many were left out
+ * - clip: cuts one piece of text down to a length, marking the cut
+ */
+
+export const FIELD_LIMIT = 1024;
+export const DESCRIPTION_LIMIT = 4096;
+export const EMBED_LIMIT = 6000;
+export const PAGE_SIZE = 20;
+
+// [{ userId, username, entries }], users in the order they first joined
+export function participantsOf(entries) {
+  const byUser = new Map();
+  for (const e of entries) {
+    const p = byUser.get(e.userId);
+    if (p) p.entries++;
+    else byUser.set(e.userId, { userId: e.userId, username: e.username || null, entries: 1 });
+  }
+  return [...byUser.values()];
+}
+
+export function listWithin(lines, { budget, max = Infinity, more = n => `…and ${n} more` }) {
+  const reserve = more(lines.length).length + 1;
+  const out = [];
+  let used = 0;
+  for (const line of lines) {
+    if (out.length >= max || used + line.length + 1 + reserve > budget) break;
+    out.push(line);
+    used += line.length + 1;
+  }
+  if (out.length < lines.length) out.push(more(lines.length - out.length));
+  return out.join('\n');
+}
+
+export function clip(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+export function entriesLabel(n) {
+  return `${n} ${n === 1 ? 'entry' : 'entries'}`;
+}
+
+export function participantSummary(entries, { top = 10, limit = FIELD_LIMIT } = {}) {
+  const people = participantsOf(entries);
+  if (!people.length) return 'No participants yet.';
+  const head = `${people.length} user${people.length === 1 ? '' : 's'} · ${entriesLabel(entries.length)}`;
+  const lines = people.sort((a, b) => b.entries - a.entries).map(p => `• <@${p.userId}> — ${entriesLabel(p.entries)}`);
+  return `${head}\n${listWithin(lines, { budget: limit - head.length - 1, max: top, more: n => `…and ${n} more (see Participants)` })}`;
+}
+
+// Search matches user ids and (case-insensitive) usernames
+export function participantPage(entries, { page = 0, query = '', pageSize = PAGE_SIZE } = {}) {
+  const q = String(query).trim().toLowerCase();
+  const matches = participantsOf(entries).filter(p => !q || p.userId.includes(q) || (p.username || '').toLowerCase().includes(q));
+  const pages = Math.max(1, Math.ceil(matches.length / pageSize));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  const offset = current * pageSize;
+  return { rows: matches.slice(offset, offset + pageSize), offset, page: current, pages, total: matches.length };
+}
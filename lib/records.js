@@ -0,0 +1,45 @@
+/**
+ * lib/records.js
+ *
+ * What setups (lib/setupSchema.js), schedules (lib/scheduler.js) and webhooks (lib/webhooks.js) share as
+ * API records: they belong to a guild, the server picks their id and keeps who created and last changed
+ * them, and editors only ever send the editable fields.
+ */
+
+// Set by the server, never taken from a request body. Each kind of record adds its own to these.
+export const MANAGED_RECORD_FIELDS = ['id', 'guildId', 'createdBy', 'createdAt', 'updatedBy', 'updatedAt'];
+
+// `${prefix}_${timestamp}`, with a random suffix when two are created in the same millisecond
+export function newRecordId(records, prefix) {
+  let id = `${prefix}_${Date.now()}`;
+  while (records[id]) id = `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+  return id;
+}
+
+// The `fields` a record has set
+export function pickFields(record, fields) {
+  const out = {};
+  for (const field of fields) if (record[field] !== undefined) out[field] = record[field];
+  return out;
+}
+
+// PATCH replaces only the top-level fields it sends; `editable` is what the record holds now
+export function mergePatch(editable, body) {
+  return { ...editable, ...(body || {}) };
+}
+
+// Store validated `fields` as records[id] (new or replacing) in `guildId`, keeping who created the record it replaces
+export function storeRecord(records, id, { guildId, by }, fields) {
+  const existing = records[id];
+  const now = Date.now();
+  records[id] = {
+    id,
+    guildId,
+    ...fields,
+    createdBy: existing ? existing.createdBy : by,
+    createdAt: existing ? existing.createdAt : now,
+    updatedBy: by,
+    updatedAt: now
+  };
+  return records[id];
+}
@@ -0,0 +1,112 @@
+/**
+ * lib/renderer.js
+ *
+ * Coalesced message rendering. Every edit of a giveaway message goes through one MessageRenderer, which:
+ * - keeps only the latest payload per message (anything it replaced before it went out is dropped)
+ * - skips edits whose payload is identical to what the message already shows
+ * - paces edits per channel, since Discord rate-limits message edits per channel
+ * - caches channel and message handles instead of fetching them for every edit
+ */
+
+export class MessageRenderer {
+  constructor(client, { channelIntervalMs = 1200 } = {}) {
+    this.client = client;
+    this.channelIntervalMs = channelIntervalMs;
+    this.channels = new Map(); // channelId -> channel
+    this.messages = new Map(); // messageId -> message
+    this.shown = new Map(); // messageId -> JSON of the payload the message currently shows
+    this.pending = new Map(); // channelId -> Map(messageId -> { payload, last, waiters })
+    this.timers = new Map(); // channelId -> timeout of the next drain
+    this.lastEditAt = new Map(); // channelId -> ms
+  }
+
+  async channel(channelId) {
+    let channel = this.channels.get(channelId);
+    if (!channel) {
+      channel = await this.client.channels.fetch(channelId).catch(() => null);
+      if (channel) this.channels.set(channelId, channel);
+    }
+    return channel;
+  }
+
+  async message(channelId, messageId) {
+    let msg = this.messages.get(messageId);
+    if (!msg) {
+      const channel = await this.channel(channelId);
+      msg = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+      if (msg) this.messages.set(messageId, msg);
+    }
+    return msg;
+  }
+
+  // a message we just sent ourselves, with the payload it was sent with
+  remember(msg, payload) {
+    this.messages.set(msg.id, msg);
+    if (msg.channel) this.channels.set(msg.channelId, msg.channel);
+    if (payload) this.shown.set(msg.id, JSON.stringify(payload));
+  }
+
+  forget(messageId) {
+    this.messages.delete(messageId);
+    this.shown.delete(messageId);
+  }
+
+  // Plain send through the cached channel; resolves to the message or null
+  async send(channelId, payload) {
+    const channel = await this.channel(channelId);
+    if (!channel) return null;
+    return channel.send(payload).catch(e => { console.warn('send fail', e.code || e); return null; });
+  }
+
+  // Queue `payload` as the next state of a message. Resolves (never rejects) once it, or a newer payload
+  // for the same message, has been applied. `last` drops the cached handle afterwards.
+  update(channelId, messageId, payload, { last = false } = {}) {
+    if (!this.pending.has(channelId)) this.pending.set(channelId, new Map());
+    const queue = this.pending.get(channelId);
+    const waiters = queue.has(messageId) ? queue.get(messageId).waiters : [];
+    const done = new Promise(resolve => waiters.push(resolve));
+    queue.set(messageId, { payload, last, waiters });
+    this.schedule(channelId);
+    return done;
+  }
+
+  schedule(channelId) {
+    if (this.timers.has(channelId)) return;
+    const wait = Math.max(0, (this.lastEditAt.get(channelId) || 0) + this.channelIntervalMs - Date.now());
+    this.timers.set(channelId, setTimeout(() => this.drain(channelId), wait));
+  }
+
+  // Apply the oldest pending message of a channel, then schedule the next one
+  async drain(channelId) {
+    const queue = this.pending.get(channelId);
+    const next = queue && queue.entries().next().value;
+    if (!next) {
+      this.timers.delete(channelId);
+      this.pending.delete(channelId);
+      return;
+    }
+    const [messageId, job] = next;
+    queue.delete(messageId);
+
+    const json = JSON.stringify(job.payload);
+    if (this.shown.get(messageId) !== json) {
+      const msg = await this.message(channelId, messageId);
+      if (msg) {
+        try {
+          await msg.edit(job.payload);
+          this.shown.set(messageId, json);
+        } catch (e) {
+          console.warn('render edit failed', messageId, e.code || e);
+          if (e.code === 10008) this.forget(messageId); // Unknown Message: deleted
+        }
+      }
+      this.lastEditAt.set(channelId, Date.now());
+    }
+    if (job.last) this.forget(messageId);
+    for (const resolve of job.waiters) resolve();
+
+    this.timers.delete(channelId);
+    if (queue.size) this.schedule(channelId);
+    else this.pending.delete(channelId);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * lib/report.js
+ *
+ * Audit report of a drawn giveaway, for sponsors and moderators (GET /api/giveaways/:id/report, and the
+ * file the bot can attach when a giveaway ends). Everything is replayed from the stored seeds with
+ * buildVerification, so the report and the verify page can never disagree.
+ * - JSON: the full record (setup snapshot, seeds, timings, per-user weighting, rounds, every entry, rerolls, claims)
+ * - CSV: the same header facts as `field,value` rows, a blank line, then one row per entry
+ */
+
+import { buildVerification, DEFAULT_SCHEDULE } from './battleRoyale.js';
+
+export const REPORT_FORMAT = 'giveaway-report';
+export const REPORT_VERSION = 1;
+
+// Why `gw` has no report yet, or null
+export function reportBlocker(gw) {
+  if (!gw.winner) return 'giveaway has not been drawn yet';
+  if (gw.seedCommitment && !gw.seedCommitment.revealedAt) return 'server seed not revealed yet';
+  return null;
+}
+
+function roundLabel(round) {
+  return round.type === 'final' ? `final stage ${round.stage}` : `round ${round.round}`;
+}
+
+const iso = ms => (ms ? new Date(ms).toISOString() : null);
+
+function replay(gw) {
+  return buildVerification({
+    serverSeed: gw.serverSeed,
+    clientSeed1: gw.clientSeed1,
+    clientSeed2: gw.clientSeed2,
+    entries: gw.entries,
+    prizeConfig: gw.prizeConfig,
+    schedule: gw.schedule || DEFAULT_SCHEDULE,
+    rerolls: gw.rerolls
+  });
+}
+
+// entry id -> { rank, eliminatedIn, place, replacedByReroll } for a drawn giveaway (also used by "My entries")
+export function entryOutcomes(gw, v = replay(gw)) {
+  const eliminatedIn = new Map();
+  for (const round of v.rounds) for (const id of round.eliminated) eliminatedIn.set(id, roundLabel(round));
+  const ranked = v.entries.slice().sort((a, b) => b.pfFloat - a.pfFloat);
+  const place = new Map(v.winners.map(w => [w.id, w.place]));
+  const replaced = new Set((gw.rerolls || []).map(r => r.replacedEntryId));
+  return new Map(ranked.map((e, i) => [e.id, {
+    rank: i + 1,
+    eliminatedIn: eliminatedIn.get(e.id) || null,
+    place: place.get(e.id) || null,
+    replacedByReroll: replaced.has(e.id) && !place.has(e.id)
+  }]));
+}
+
+export function buildReport(gw, now = Date.now()) {
+  const v = replay(gw);
+  const outcomes = entryOutcomes(gw, v);
+
+  const audit = gw.entryAudit || {};
+  const users = Object.entries(gw.entrantsByUser || {}).map(([userId, entries]) => {
+    const first = gw.entries.find(e => e.userId === userId);
+    return { userId, username: (first && first.username) || null, entries, weighting: audit[userId] || null };
+  });
+
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    generatedAt: iso(now),
+    giveaway: {
+      id: gw.id,
+      guildId: gw.guildId || null,
+      channelId: gw.channelId,
+      messageId: gw.messageId,
+      state: gw.state,
+      createdBy: gw.createdBy || null,
+      scheduleId: gw.scheduleId || null,
+      startedAt: iso(gw.startAt),
+      collectionEndedAt: iso(gw.endAt),
+      drawStartedAt: iso(gw.drawStartedAt),
+      finishedAt: iso(gw.finishedAt)
+    },
+    setup: { id: gw.setupId, version: gw.setupVersion || null, snapshot: gw.setup },
+    prizeConfig: v.prizeConfig,
+    schedule: v.schedule,
+    seeds: {
+      serverSeedHash: gw.serverSeedHash || null,
+      committedAt: iso(gw.seedCommitment && gw.seedCommitment.committedAt),
+      serverSeed: v.serverSeed,
+      revealedAt: iso(gw.seedCommitment && gw.seedCommitment.revealedAt),
+      commitmentValid: gw.serverSeedHash ? gw.serverSeedHash === v.serverSeedHash : null,
+      clientSeed1: v.clientSeed1,
+      clientSeed2: v.clientSeed2,
+      submittedBy: gw.seedsSubmittedBy || null,
+      autoRun: gw.autoRun ? gw.autoRun.mode : null
+    },
+    weighting: gw.weighting || null,
+    users,
+    rounds: v.rounds.map(r => ({ label: roundLabel(r), before: r.before, eliminated: r.eliminated.length, remaining: r.remaining })),
+    entries: v.entries.map(e => ({
+      index: e.index,
+      id: e.id,
+      userId: e.userId,
+      username: e.username || null,
+      message: e.message,
+      pfFloat: e.pfFloat,
+      ...outcomes.get(e.id)
+    })),
+    winners: v.winners,
+    rerolls: (gw.rerolls || []).map((r, i) => ({ ...r, at: iso(r.at), winner: v.rerolls[i] ? v.rerolls[i].winner : null })),
+    claims: gw.claims || []
+  };
+}
+
+// Quote per RFC 4180; cells that a spreadsheet would run as a formula get a leading apostrophe
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(s) && typeof value !== 'number') s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(cells) {
+  return cells.map(csvCell).join(',');
+}
+
+export function reportCsv(report) {
+  const g = report.giveaway;
+  const s = report.seeds;
+  const byUser = new Map(report.users.map(u => [u.userId, u]));
+  const header = [
+    ['report', `${report.format} v${report.version}`],
+    ['generated_at', report.generatedAt],
+    ['giveaway_id', g.id],
+    ['guild_id', g.guildId],
+    ['channel_id', g.channelId],
+    ['setup', `${report.setup.snapshot && report.setup.snapshot.name} (${report.setup.id} v${report.setup.version})`],
+    ['started_at', g.startedAt],
+    ['collection_ended_at', g.collectionEndedAt],
+    ['draw_started_at', g.drawStartedAt],
+    ['finished_at', g.finishedAt],
+    ['server_seed_hash', s.serverSeedHash],
+    ['seed_committed_at', s.committedAt],
+    ['server_seed', s.serverSeed],
+    ['seed_revealed_at', s.revealedAt],
+    ['commitment_valid', s.commitmentValid],
+    ['client_seed_1', s.clientSeed1],
+    ['client_seed_2', s.clientSeed2],
+    ['weighting_policy', report.weighting && report.weighting.policy],
+    ['winners', report.winners.map(w => `#${w.place} ${w.prize}: ${w.userId} (${w.id})`).join('; ')],
+    ['rerolls', report.rerolls.length],
+    ['setup_snapshot', report.setup.snapshot]
+  ];
+  const rows = [
+    ...header.map(csvRow),
+    '',
+    csvRow(['index', 'entry_id', 'user_id', 'username', 'hmac_message', 'float', 'rank', 'eliminated_in', 'winner_place', 'user_entries', 'user_weighting'])
+  ];
+  for (const e of report.entries) {
+    const user = byUser.get(e.userId);
+    const w = user && user.weighting;
+    const weighting = w ? `${w.policy} ${w.count}${w.sources && w.sources.length ? ` (${w.sources.map(x => `${x.source}=${x.value}`).join(' ')})` : ''}` : '';
+    rows.push(csvRow([e.index, e.id, e.userId, e.username, e.message, e.pfFloat, e.rank, e.eliminatedIn || (e.place ? 'winner' : e.replacedByReroll ? 'rerolled away' : 'survived'), e.place, user ? user.entries : '', weighting]));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
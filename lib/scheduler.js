@@ -0,0 +1,172 @@
+/**
+ * lib/scheduler.js
+ *
+ * Scheduled giveaways ("schedules"): start a setup in a channel once, daily or on chosen weekdays at a
+ * wall-clock time in an IANA timezone (e.g. every Friday 18:00 Europe/Berlin, DST included).
+ * Pure helpers — index.js owns the timer, storage and Discord side.
+ * Not to be confused with a setup's `schedule`, which is the Battle Royale round pacing.
+ *
+ * - Auto-run: off (staff press Verify as usual), committed (client seeds fixed when the schedule is
+ *   saved; their SHA-256 is shown on the giveaway message) or derived (see deriveClientSeeds)
+ * - Missed runs (bot offline at run time): skip, or run_late = still start if no more than
+ *   lateGraceMinutes late. Older occurrences missed in the same outage are only counted, never run.
+ */
+
+import crypto from 'crypto';
+import { SNOWFLAKE } from './setupSchema.js';
+import { MAX_CLIENT_SEED_LENGTH } from './battleRoyale.js';
+import { MANAGED_RECORD_FIELDS, pickFields } from './records.js';
+
+export const REPEATS = ['once', 'daily', 'weekly'];
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const AUTO_RUN_MODES = ['off', 'committed', 'derived'];
+export const MISSED_RUN_POLICIES = ['skip', 'run_late'];
+export const ON_TIME_MS = 60 * 1000; // started within a minute of its time = on time, not a missed run
+
+export const MANAGED_SCHEDULE_FIELDS = [...MANAGED_RECORD_FIELDS, 'nextRunAt', 'lastRunAt', 'runs'];
+const EDITABLE_SCHEDULE_FIELDS = ['setupId', 'channelId', 'enabled', 'repeat', 'date', 'days', 'time', 'timezone', 'autoRun', 'clientSeed1', 'clientSeed2', 'missedRuns', 'lateGraceMinutes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function validateSchedule(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['schedule must be a JSON object'], schedule: null };
+  const unknown = Object.keys(input).filter(k => !EDITABLE_SCHEDULE_FIELDS.includes(k) && !MANAGED_SCHEDULE_FIELDS.includes(k));
+  if (unknown.length) errors.push(`unknown field(s): ${unknown.join(', ')}`);
+  const oneOf = (field, values, fallback) => {
+    const value = input[field] === undefined || input[field] === null || input[field] === '' ? fallback : input[field];
+    if (!values.includes(value)) { errors.push(`${field}: must be one of ${values.join(', ')}`); return fallback; }
+    return value;
+  };
+
+  const schedule = {
+    setupId: typeof input.setupId === 'string' ? input.setupId.trim() : '',
+    channelId: String(input.channelId || '').trim() || null, // null = the guild's default channel
+    enabled: input.enabled === undefined ? true : input.enabled,
+    repeat: oneOf('repeat', REPEATS, 'once'),
+    date: null,
+    days: [],
+    time: String(input.time || '').trim(),
+    timezone: String(input.timezone || 'UTC').trim(),
+    autoRun: oneOf('autoRun', AUTO_RUN_MODES, 'off'),
+    missedRuns: oneOf('missedRuns', MISSED_RUN_POLICIES, 'skip'),
+    lateGraceMinutes: 60
+  };
+  if (!schedule.setupId) errors.push('setupId: is required');
+  if (schedule.channelId && !SNOWFLAKE.test(schedule.channelId)) errors.push('channelId: must be a Discord channel id');
+  if (typeof schedule.enabled !== 'boolean') { errors.push('enabled: must be true or false'); schedule.enabled = true; }
+  if (!TIME.test(schedule.time)) errors.push('time: must be HH:MM (24-hour)');
+  if (!isValidTimezone(schedule.timezone)) errors.push(`timezone: unknown timezone "${schedule.timezone}" (use an IANA name like Europe/Berlin)`);
+
+  if (schedule.repeat === 'once') {
+    const m = DATE.exec(String(input.date || '').trim());
+    const valid = m && new Date(Date.UTC(+m[1], m[2] - 1, +m[3])).toISOString().slice(0, 10) === m[0];
+    if (!valid) errors.push('date: must be a date (YYYY-MM-DD) for a one-off schedule');
+    else schedule.date = m[0];
+  }
+  if (schedule.repeat === 'weekly') {
+    const days = Array.isArray(input.days) ? input.days.map(d => String(d).trim().toLowerCase().slice(0, 3)) : [];
+    if (!days.length || days.some(d => !WEEKDAYS.includes(d))) errors.push(`days: pick one or more of ${WEEKDAYS.join(', ')}`);
+    else schedule.days = WEEKDAYS.filter(d => days.includes(d));
+  }
+
+  if (schedule.autoRun === 'committed') {
+    for (const field of ['clientSeed1', 'clientSeed2']) {
+      const value = typeof input[field] === 'string' ? input[field].trim() : '';
+      if (!value) errors.push(`${field}: is required when autoRun is committed`);
+      else if (value.length > MAX_CLIENT_SEED_LENGTH) errors.push(`${field}: must be at most ${MAX_CLIENT_SEED_LENGTH} characters`);
+      schedule[field] = value;
+    }
+  }
+  if (input.lateGraceMinutes !== undefined && input.lateGraceMinutes !== null && input.lateGraceMinutes !== '') {
+    const n = Number(input.lateGraceMinutes);
+    if (!Number.isInteger(n) || n < 1 || n > 24 * 60) errors.push('lateGraceMinutes: must be a whole number between 1 and 1440');
+    else schedule.lateGraceMinutes = n;
+  }
+  return { errors, schedule };
+}
+
+// The editable part of a stored schedule (what PATCH merges into)
+export function editableScheduleFields(schedule) {
+  return pickFields(schedule, EDITABLE_SCHEDULE_FIELDS);
+}
+
+// Milliseconds the timezone is ahead of UTC at `instant`
+function tzOffsetMs(instant, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+  for (const p of format.formatToParts(instant)) parts[p.type] = Number(p.value);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+// UTC instant of `minutes` after local midnight of `day` (a Date.UTC midnight) in timeZone.
+// The second pass corrects for a DST switch between the guess and the answer.
+function zonedTime(day, minutes, timeZone) {
+  const wall = day + minutes * 60 * 1000;
+  const guess = wall - tzOffsetMs(wall, timeZone);
+  return wall - tzOffsetMs(guess, timeZone);
+}
+
+function localMidnight(instant, timeZone) {
+  const wall = instant + tzOffsetMs(instant, timeZone);
+  return wall - (((wall % DAY_MS) + DAY_MS) % DAY_MS);
+}
+
+// First run strictly after `after`, or null (a one-off schedule whose time has passed)
+export function nextRunAt(schedule, after = Date.now()) {
+  const [, hh, mm] = TIME.exec(schedule.time);
+  const minutes = Number(hh) * 60 + Number(mm);
+  if (schedule.repeat === 'once') {
+    const [, y, m, d] = DATE.exec(schedule.date);
+    const at = zonedTime(Date.UTC(+y, m - 1, +d), minutes, schedule.timezone);
+    return at > after ? at : null;
+  }
+  const today = localMidnight(after, schedule.timezone);
+  for (let i = 0; i <= 7; i++) {
+    const day = today + i * DAY_MS;
+    if (schedule.repeat === 'weekly' && !schedule.days.includes(WEEKDAYS[new Date(day).getUTCDay()])) continue;
+    const at = zonedTime(day, minutes, schedule.timezone);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+// What to do about a schedule whose time has come: null (not due) or
+// { scheduledFor, run, late, missed } — `missed` counts older occurrences that passed during the same outage
+export function dueRun(schedule, now = Date.now()) {
+  if (!schedule.enabled || !schedule.nextRunAt || now < schedule.nextRunAt) return null;
+  let scheduledFor = schedule.nextRunAt;
+  let missed = 0;
+  for (let next = nextRunAt(schedule, scheduledFor); next && next <= now; next = nextRunAt(schedule, next)) {
+    missed++;
+    scheduledFor = next;
+  }
+  const lateMs = now - scheduledFor;
+  const late = lateMs > ON_TIME_MS;
+  const run = !late || (schedule.missedRuns === 'run_late' && lateMs <= schedule.lateGraceMinutes * 60 * 1000);
+  return { scheduledFor, run, late, missed };
+}
+
+// Seeds for autoRun "derived": SHA-256 of the final entry list and the giveaway id. Nobody picks
+// them, and anyone can recompute them from the entries the verify page shows.
+export function deriveClientSeeds(gw) {
+  const list = gw.entries.map(e => `${e.id}:${e.userId}`).join(',');
+  return { clientSeed1: `entries:${crypto.createHash('sha256').update(list).digest('hex')}`, clientSeed2: gw.id };
+}
+
+// Published when a giveaway with committed seeds starts, so the seeds provably predate every join
+export function commitClientSeeds(clientSeed1, clientSeed2) {
+  return crypto.createHash('sha256').update(`${clientSeed1}:${clientSeed2}`).digest('hex');
+}
@@ -0,0 +1,172 @@
+/**
+ * lib/setupSchema.js
+ *
+ * Schema for giveaway setups as the API accepts them (POST/PUT/PATCH /api/setups, import bundles).
+ * validateSetup returns { errors, setup }: `errors` lists every problem as "field: message", `setup`
+ * holds only known fields, with numbers/booleans coerced and defaults filled in.
+ * Fields the server manages itself (id, version, timestamps, ...) are ignored on input.
+ */
+
+import { parseSchedule, MAX_WINNERS } from './battleRoyale.js';
+import { MAX_CLAIM_MINUTES } from './claims.js';
+import { MANAGED_RECORD_FIELDS, pickFields } from './records.js';
+
+export const WEIGHTING_POLICIES = ['max', 'additive', 'multiplicative'];
+export const MAX_ENTRIES_PER_USER = 1000;
+export const BUNDLE_FORMAT = 'giveaway-setups';
+export const BUNDLE_VERSION = 1;
+
+export const MANAGED_FIELDS = [...MANAGED_RECORD_FIELDS, 'version', 'joinRejections', 'clonedFrom', 'importedFrom'];
+const EDITABLE_FIELDS = ['name', 'description', 'collectDuration', 'baseEntries', 'roleEntries', 'weighting', 'winnerCount', 'prizes', 'allowMultipleWins', 'claimMinutes', 'attachReport', 'eligibility', 'schedule'];
+
+const MAX_COLLECT_SECONDS = 7 * 24 * 60 * 60;
+export const SNOWFLAKE = /^\d{15,25}$/;
+
+// Collects errors while reading one object; each reader returns the coerced value (or the fallback)
+function reader(errors, prefix) {
+  const fail = (field, message) => { errors.push(`${prefix}${field}: ${message}`); };
+  return {
+    fail,
+    int(obj, field, { min = 0, max = Infinity, fallback }) {
+      const raw = obj[field];
+      if (raw === undefined || raw === null || raw === '') return fallback;
+      const n = Number(raw);
+      if (!Number.isInteger(n)) { fail(field, 'must be a whole number'); return fallback; }
+      if (n < min || n > max) { fail(field, `must be between ${min} and ${max}`); return fallback; }
+      return n;
+    },
+    string(obj, field, { max = 1000, required = false, fallback = '' } = {}) {
+      const raw = obj[field];
+      if (raw === undefined || raw === null) {
+        if (required) fail(field, 'is required');
+        return fallback;
+      }
+      if (typeof raw !== 'string') { fail(field, 'must be a string'); return fallback; }
+      const value = raw.trim();
+      if (required && !value) fail(field, 'is required');
+      if (value.length > max) fail(field, `must be at most ${max} characters`);
+      return value;
+    },
+    bool(obj, field) {
+      const raw = obj[field];
+      if (raw === undefined || raw === null) return false;
+      if (typeof raw !== 'boolean') { fail(field, 'must be true or false'); return false; }
+      return raw;
+    },
+    ids(obj, field) {
+      const raw = obj[field];
+      if (raw === undefined || raw === null) return [];
+      if (!Array.isArray(raw)) { fail(field, 'must be an array of Discord ids'); return []; }
+      const ids = raw.map(id => String(id).trim());
+      const bad = ids.filter(id => !SNOWFLAKE.test(id));
+      if (bad.length) fail(field, `not Discord ids: ${bad.slice(0, 5).join(', ')}`);
+      return [...new Set(ids.filter(id => SNOWFLAKE.test(id)))];
+    },
+    object(obj, field, known) {
+      const raw = obj[field];
+      if (raw === undefined || raw === null) return {};
+      if (typeof raw !== 'object' || Array.isArray(raw)) { fail(field, 'must be an object'); return {}; }
+      const unknown = Object.keys(raw).filter(k => !known.includes(k));
+      if (unknown.length) fail(field, `unknown field(s) ${unknown.join(', ')}`);
+      return raw;
+    }
+  };
+}
+
+export function validateSetup(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['setup must be a JSON object'], setup: null };
+  const r = reader(errors, '');
+
+  const unknown = Object.keys(input).filter(k => !EDITABLE_FIELDS.includes(k) && !MANAGED_FIELDS.includes(k));
+  if (unknown.length) errors.push(`unknown field(s): ${unknown.join(', ')}`);
+
+  const setup = {
+    name: r.string(input, 'name', { max: 100, required: true }),
+    description: r.string(input, 'description', { max: 1000 }),
+    collectDuration: r.int(input, 'collectDuration', { min: 5, max: MAX_COLLECT_SECONDS, fallback: 30 }),
+    baseEntries: r.int(input, 'baseEntries', { min: 1, max: MAX_ENTRIES_PER_USER, fallback: 1 }),
+    roleEntries: [],
+    winnerCount: r.int(input, 'winnerCount', { min: 1, max: MAX_WINNERS, fallback: 1 }),
+    prizes: [],
+    allowMultipleWins: r.bool(input, 'allowMultipleWins'),
+    claimMinutes: r.int(input, 'claimMinutes', { min: 0, max: MAX_CLAIM_MINUTES, fallback: 0 }), // 0 = winners need not claim
+    attachReport: r.bool(input, 'attachReport') // post the CSV audit report (lib/report.js) when the giveaway ends
+  };
+
+  if (input.roleEntries !== undefined && input.roleEntries !== null) {
+    if (!Array.isArray(input.roleEntries)) errors.push('roleEntries: must be an array of { roleId, entries, cap? }');
+    else {
+      input.roleEntries.forEach((re, i) => {
+        const rr = reader(errors, `roleEntries[${i}].`);
+        if (!re || typeof re !== 'object') { errors.push(`roleEntries[${i}]: must be an object`); return; }
+        const extra = Object.keys(re).filter(k => !['roleId', 'entries', 'cap'].includes(k));
+        if (extra.length) errors.push(`roleEntries[${i}]: unknown field(s) ${extra.join(', ')}`);
+        const roleId = String(re.roleId || '').trim();
+        if (!SNOWFLAKE.test(roleId)) rr.fail('roleId', 'must be a Discord role id');
+        const row = { roleId, entries: rr.int(re, 'entries', { min: 0, max: MAX_ENTRIES_PER_USER, fallback: 0 }) };
+        const cap = rr.int(re, 'cap', { min: 0, max: MAX_ENTRIES_PER_USER, fallback: 0 });
+        if (cap) row.cap = cap;
+        setup.roleEntries.push(row);
+      });
+      const seen = new Set();
+      for (const re of setup.roleEntries) {
+        if (seen.has(re.roleId)) errors.push(`roleEntries: role ${re.roleId} is listed more than once`);
+        seen.add(re.roleId);
+      }
+    }
+  }
+
+  const w = r.object(input, 'weighting', ['policy', 'boosterEntries', 'earlyMemberBefore', 'earlyMemberEntries', 'maxPerUser']);
+  const wr = reader(errors, 'weighting.');
+  if (w.policy !== undefined && !WEIGHTING_POLICIES.includes(w.policy)) wr.fail('policy', `must be one of ${WEIGHTING_POLICIES.join(', ')}`);
+  let earlyMemberBefore = null;
+  if (w.earlyMemberBefore) {
+    const t = Date.parse(w.earlyMemberBefore);
+    if (Number.isNaN(t)) wr.fail('earlyMemberBefore', 'must be a date (YYYY-MM-DD)');
+    else earlyMemberBefore = String(w.earlyMemberBefore);
+  }
+  setup.weighting = {
+    policy: WEIGHTING_POLICIES.includes(w.policy) ? w.policy : 'max',
+    boosterEntries: wr.int(w, 'boosterEntries', { min: 0, max: MAX_ENTRIES_PER_USER, fallback: 0 }),
+    earlyMemberBefore,
+    earlyMemberEntries: wr.int(w, 'earlyMemberEntries', { min: 0, max: MAX_ENTRIES_PER_USER, fallback: 0 }),
+    maxPerUser: wr.int(w, 'maxPerUser', { min: 0, max: MAX_ENTRIES_PER_USER, fallback: 0 })
+  };
+
+  if (input.prizes !== undefined && input.prizes !== null) {
+    if (!Array.isArray(input.prizes) || input.prizes.some(p => typeof p !== 'string')) errors.push('prizes: must be an array of strings');
+    else {
+      setup.prizes = input.prizes.map(p => p.trim()).filter(Boolean);
+      if (setup.prizes.length > setup.winnerCount) errors.push(`prizes: ${setup.prizes.length} prizes for ${setup.winnerCount} winner(s)`);
+      if (setup.prizes.some(p => p.length > 100)) errors.push('prizes: each prize must be at most 100 characters');
+    }
+  }
+
+  const e = r.object(input, 'eligibility', ['minAccountAgeDays', 'minServerAgeDays', 'requiredRoles', 'excludedRoles', 'blacklist']);
+  const er = reader(errors, 'eligibility.');
+  setup.eligibility = {
+    minAccountAgeDays: er.int(e, 'minAccountAgeDays', { min: 0, max: 3650, fallback: 0 }),
+    minServerAgeDays: er.int(e, 'minServerAgeDays', { min: 0, max: 3650, fallback: 0 }),
+    requiredRoles: er.ids(e, 'requiredRoles'),
+    excludedRoles: er.ids(e, 'excludedRoles'),
+    blacklist: er.ids(e, 'blacklist')
+  };
+  const both = setup.eligibility.requiredRoles.filter(id => setup.eligibility.excludedRoles.includes(id));
+  if (both.length) errors.push(`eligibility: role(s) ${both.join(', ')} are both required and excluded`);
+
+  const parsed = parseSchedule(input.schedule);
+  errors.push(...parsed.errors);
+  setup.schedule = parsed.schedule;
+
+  return { errors, setup };
+}
+
+// The editable part of a stored setup (what PUT replaces, PATCH merges into and bundles carry)
+export function editableFields(setup) {
+  return pickFields(setup, EDITABLE_FIELDS);
+}
+
+export function nameKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
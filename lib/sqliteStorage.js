@@ -0,0 +1,306 @@
+/**
+ * lib/sqliteStorage.js
+ *
+ * SQLite backend for lib/storage.js (STORAGE=sqlite). Uses better-sqlite3, which is synchronous like the
+ * JSON backend, so index.js needs no changes between the two.
+ * - Schema changes are numbered MIGRATIONS, applied in order inside a transaction and recorded in
+ *   schema_migrations; never edit an applied migration, add a new one
+ * - Entries live in their own table and are append-only: saving a giveaway after a join batch only
+ *   inserts the new entries instead of rewriting the whole list
+ * - On first open, setups.json, schedules.json, guilds.json, webhooks.json, webhook-deliveries.jsonl and giveaways.json (or the JSON backend's giveaways/ and archive/
+ *   folders) are imported once and renamed to *.migrated
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { readDeliveryLog, readJsonFile, takeLegacyGiveaways } from './storage.js';
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    sql: `
+      CREATE TABLE setups (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE giveaways (
+        id TEXT PRIMARY KEY,
+        state TEXT,
+        data TEXT NOT NULL,            -- giveaway JSON without entries
+        archived_at INTEGER,           -- NULL = hot
+        summary TEXT                   -- set when archived, for listings
+      );
+      CREATE TABLE entries (
+        giveaway_id TEXT NOT NULL,
+        idx INTEGER NOT NULL,          -- join order; the draw's HMAC message uses it
+        id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        username TEXT,
+        PRIMARY KEY (giveaway_id, idx)
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'index hot giveaways',
+    sql: 'CREATE INDEX giveaways_archived ON giveaways (archived_at);'
+  },
+  {
+    version: 3,
+    name: 'scheduled giveaways',
+    sql: 'CREATE TABLE schedules (id TEXT PRIMARY KEY, data TEXT NOT NULL);'
+  },
+  {
+    version: 4,
+    name: 'guild settings',
+    sql: 'CREATE TABLE guild_settings (guild_id TEXT PRIMARY KEY, data TEXT NOT NULL);'
+  },
+  {
+    version: 5,
+    name: 'webhooks',
+    sql: `
+      CREATE TABLE webhooks (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX webhook_deliveries_created ON webhook_deliveries (created_at);
+    `
+  }
+];
+
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at INTEGER NOT NULL)');
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  for (const m of MIGRATIONS) {
+    if (applied.has(m.version)) continue;
+    db.transaction(() => {
+      db.exec(m.sql);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)').run(m.version, m.name, Date.now());
+    })();
+    console.log(`SQLite migration ${m.version} (${m.name}) applied`);
+  }
+}
+
+export class SqliteStorage {
+  static open({ dataDir, file }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    migrate(db);
+    const storage = new SqliteStorage(db);
+    storage.importJson(dataDir);
+    return storage;
+  }
+
+  constructor(db) {
+    this.db = db;
+    this.entryCounts = new Map(); // gwId -> entries already stored
+    this.stmts = {
+      setups: db.prepare('SELECT data FROM setups'),
+      upsertSetup: db.prepare('INSERT INTO setups (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+      deleteSetup: db.prepare('DELETE FROM setups WHERE id = ?'),
+      setupIds: db.prepare('SELECT id FROM setups'),
+      schedules: db.prepare('SELECT data FROM schedules'),
+      upsertSchedule: db.prepare('INSERT INTO schedules (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+      deleteSchedule: db.prepare('DELETE FROM schedules WHERE id = ?'),
+      scheduleIds: db.prepare('SELECT id FROM schedules'),
+      guilds: db.prepare('SELECT data FROM guild_settings'),
+      upsertGuild: db.prepare('INSERT INTO guild_settings (guild_id, data) VALUES (?, ?) ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data'),
+      webhooks: db.prepare('SELECT data FROM webhooks'),
+      upsertWebhook: db.prepare('INSERT INTO webhooks (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data'),
+      deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      webhookIds: db.prepare('SELECT id FROM webhooks'),
+      deliveries: db.prepare('SELECT data FROM webhook_deliveries ORDER BY created_at, rowid'),
+      upsertDelivery: db.prepare(`INSERT INTO webhook_deliveries (id, webhook_id, created_at, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET data = excluded.data`),
+      deleteDelivery: db.prepare('DELETE FROM webhook_deliveries WHERE id = ?'),
+      hot: db.prepare('SELECT id, data FROM giveaways WHERE archived_at IS NULL'),
+      one: db.prepare('SELECT data FROM giveaways WHERE id = ?'),
+      upsertGiveaway: db.prepare(`INSERT INTO giveaways (id, state, data) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET state = excluded.state, data = excluded.data`),
+      archive: db.prepare('UPDATE giveaways SET archived_at = ?, summary = ? WHERE id = ?'),
+      archived: db.prepare('SELECT summary FROM giveaways WHERE archived_at IS NOT NULL ORDER BY archived_at DESC'),
+      entries: db.prepare('SELECT id, user_id AS userId, username FROM entries WHERE giveaway_id = ? ORDER BY idx'),
+      entryCount: db.prepare('SELECT COUNT(*) AS n FROM entries WHERE giveaway_id = ?'),
+      insertEntry: db.prepare('INSERT INTO entries (giveaway_id, idx, id, user_id, username) VALUES (?, ?, ?, ?, ?)'),
+      clearEntries: db.prepare('DELETE FROM entries WHERE giveaway_id = ?')
+    };
+  }
+
+  // One-time import of whatever the JSON backend (or the pre-storage bot) left in ./data
+  importJson(dataDir) {
+    const files = [
+      ['setups.json', {}, map => this.saveSetups(map)],
+      ['schedules.json', {}, map => this.saveSchedules(map)],
+      ['guilds.json', {}, map => this.saveGuildSettings(map)],
+      ['webhooks.json', {}, map => this.saveWebhooks(map)]
+    ];
+    for (const [name, empty, save] of files) {
+      const file = path.join(dataDir, name);
+      if (!fs.existsSync(file)) continue;
+      save(readJsonFile(file, empty));
+      fs.renameSync(file, `${file}.migrated`);
+      console.log(`Imported ${name} into SQLite`);
+    }
+    const deliveryLog = path.join(dataDir, 'webhook-deliveries.jsonl');
+    if (fs.existsSync(deliveryLog)) {
+      this.saveWebhookDeliveries([...readDeliveryLog(deliveryLog).rows.values()], []);
+      fs.renameSync(deliveryLog, `${deliveryLog}.migrated`);
+      console.log('Imported webhook-deliveries.jsonl into SQLite');
+    }
+
+    const legacy = takeLegacyGiveaways(dataDir);
+    const hot = legacy ? Object.values(legacy.giveaways) : [];
+    const hotDir = path.join(dataDir, 'giveaways');
+    const archiveDir = path.join(dataDir, 'archive');
+    const filesIn = dir => (fs.existsSync(dir) ? fs.readdirSync(dir).filter(n => n.endsWith('.json') && n !== 'index.json') : []);
+    for (const name of filesIn(hotDir)) hot.push(readJsonFile(path.join(hotDir, name), null));
+    const archiveIndex = readJsonFile(path.join(archiveDir, 'index.json'), {});
+    const archived = filesIn(archiveDir).map(name => readJsonFile(path.join(archiveDir, name), null));
+
+    const list = hot.filter(gw => gw && gw.id);
+    const archivedList = archived.filter(gw => gw && gw.id);
+    if (!list.length && !archivedList.length && !legacy) return;
+    this.db.transaction(() => {
+      for (const gw of list) this.saveGiveaway(gw);
+      for (const gw of archivedList) {
+        this.saveGiveaway(gw);
+        const summary = archiveIndex[gw.id] || { id: gw.id, state: gw.state };
+        this.stmts.archive.run(summary.archivedAt || Date.now(), JSON.stringify(summary), gw.id);
+      }
+    })();
+    if (legacy) legacy.done();
+    for (const dir of [hotDir, archiveDir]) if (fs.existsSync(dir)) fs.renameSync(dir, `${dir}.migrated`);
+    console.log(`Imported ${list.length} giveaway(s) and ${archivedList.length} archived giveaway(s) into SQLite`);
+  }
+
+  loadSetups() {
+    const setups = {};
+    for (const row of this.stmts.setups.all()) {
+      const setup = JSON.parse(row.data);
+      setups[setup.id] = setup;
+    }
+    return setups;
+  }
+
+  saveSetups(setups) {
+    this.db.transaction(() => {
+      for (const setup of Object.values(setups)) this.stmts.upsertSetup.run(setup.id, JSON.stringify(setup));
+      for (const { id } of this.stmts.setupIds.all()) if (!setups[id]) this.stmts.deleteSetup.run(id);
+    })();
+  }
+
+  loadSchedules() {
+    const schedules = {};
+    for (const row of this.stmts.schedules.all()) {
+      const schedule = JSON.parse(row.data);
+      schedules[schedule.id] = schedule;
+    }
+    return schedules;
+  }
+
+  saveSchedules(schedules) {
+    this.db.transaction(() => {
+      for (const schedule of Object.values(schedules)) this.stmts.upsertSchedule.run(schedule.id, JSON.stringify(schedule));
+      for (const { id } of this.stmts.scheduleIds.all()) if (!schedules[id]) this.stmts.deleteSchedule.run(id);
+    })();
+  }
+
+  loadGuildSettings() {
+    const guilds = {};
+    for (const row of this.stmts.guilds.all()) {
+      const settings = JSON.parse(row.data);
+      guilds[settings.guildId] = settings;
+    }
+    return guilds;
+  }
+
+  // settings are never deleted, only replaced
+  saveGuildSettings(guilds) {
+    this.db.transaction(() => {
+      for (const settings of Object.values(guilds)) this.stmts.upsertGuild.run(settings.guildId, JSON.stringify(settings));
+    })();
+  }
+
+  loadWebhooks() {
+    const webhooks = {};
+    for (const row of this.stmts.webhooks.all()) {
+      const webhook = JSON.parse(row.data);
+      webhooks[webhook.id] = webhook;
+    }
+    return webhooks;
+  }
+
+  saveWebhooks(webhooks) {
+    this.db.transaction(() => {
+      for (const webhook of Object.values(webhooks)) this.stmts.upsertWebhook.run(webhook.id, JSON.stringify(webhook));
+      for (const { id } of this.stmts.webhookIds.all()) if (!webhooks[id]) this.stmts.deleteWebhook.run(id);
+    })();
+  }
+
+  loadWebhookDeliveries() {
+    return this.stmts.deliveries.all().map(row => JSON.parse(row.data));
+  }
+
+  saveWebhookDeliveries(changed, removedIds) {
+    this.db.transaction(() => {
+      for (const d of changed) this.stmts.upsertDelivery.run(d.id, d.webhookId, d.createdAt, JSON.stringify(d));
+      for (const id of removedIds) this.stmts.deleteDelivery.run(id);
+    })();
+  }
+
+  withEntries(id, data) {
+    const gw = JSON.parse(data);
+    gw.entries = this.stmts.entries.all(id).map(e => (e.username === null ? { id: e.id, userId: e.userId } : e));
+    this.entryCounts.set(id, gw.entries.length);
+    return gw;
+  }
+
+  loadGiveaways() {
+    const giveaways = {};
+    for (const row of this.stmts.hot.all()) giveaways[row.id] = this.withEntries(row.id, row.data);
+    return giveaways;
+  }
+
+  saveGiveaway(gw) {
+    const { entries = [], ...rest } = gw;
+    this.db.transaction(() => {
+      this.stmts.upsertGiveaway.run(gw.id, gw.state || null, JSON.stringify(rest));
+      let stored = this.entryCounts.has(gw.id) ? this.entryCounts.get(gw.id) : this.stmts.entryCount.get(gw.id).n;
+      // entries are append-only; anything else (shouldn't happen) is a full rewrite
+      if (stored > entries.length) {
+        this.stmts.clearEntries.run(gw.id);
+        stored = 0;
+      }
+      for (let i = stored; i < entries.length; i++) {
+        const e = entries[i];
+        this.stmts.insertEntry.run(gw.id, i, e.id, e.userId, e.username ?? null);
+      }
+    })();
+    this.entryCounts.set(gw.id, entries.length);
+  }
+
+  archiveGiveaway(gw, summary) {
+    this.saveGiveaway(gw);
+    this.stmts.archive.run(Date.now(), JSON.stringify({ ...summary, archivedAt: Date.now() }), gw.id);
+    this.entryCounts.delete(gw.id);
+  }
+
+  loadArchivedGiveaway(id) {
+    const row = this.stmts.one.get(String(id));
+    return row ? this.withEntries(String(id), row.data) : null;
+  }
+
+  listArchivedGiveaways() {
+    return this.stmts.archived.all().map(row => JSON.parse(row.summary));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * lib/storage.js
+ *
+ * Where giveaways and setups live. index.js only talks to the interface below; pick the backend with
+ * STORAGE=json (default) or STORAGE=sqlite (needs the optional better-sqlite3 dependency).
+ *
+ *   loadSetups() -> { [id]: setup }            saveSetups(setups)
+ *   loadSchedules() -> { [id]: schedule }      saveSchedules(schedules)   (lib/scheduler.js)
+ *   loadGuildSettings() -> { [guildId]: settings }   saveGuildSettings(all)  (lib/guildSettings.js)
+ *   loadWebhooks() -> { [id]: webhook }        saveWebhooks(webhooks)     (lib/webhooks.js)
+ *   loadWebhookDeliveries() -> [delivery]      saveWebhookDeliveries(changed, removedIds)  (only what changed since the last save)
+ *   loadGiveaways() -> { [id]: giveaway }      saveGiveaway(gw)            (hot giveaways only)
+ *   archiveGiveaway(gw, summary)               moves a finished giveaway out of hot state
+ *   loadArchivedGiveaway(id) -> gw | null      listArchivedGiveaways() -> [summary]
+ *   close()
+ *
+ * JSON layout in ./data: setups.json, schedules.json, guilds.json, webhooks.json, webhook-deliveries.jsonl, giveaways/{id}.json (one file per hot giveaway, so a join only
+ * rewrites its own giveaway), archive/{id}.json plus archive/index.json (summaries). Every write goes
+ * to a temp file that is fsynced and renamed over the old one, so a crash never leaves half a file;
+ * the previous version is kept as {file}.bak and used if the main file is missing or unreadable.
+ * The webhook delivery log is the exception: saves append to it (see readDeliveryLog).
+ *
+ * The single giveaways.json used before this layer existed is migrated once on startup (by either
+ * backend) and renamed to giveaways.json.migrated.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+  fs.renameSync(tmp, file);
+}
+
+// Parse a JSON file written by writeFileAtomic; falls back to the .bak copy, then to `fallback`.
+// An unreadable file is moved aside (never deleted) so it can be inspected.
+export function readJsonFile(file, fallback) {
+  for (const candidate of [file, `${file}.bak`]) {
+    if (!fs.existsSync(candidate)) continue;
+    try {
+      return JSON.parse(fs.readFileSync(candidate, 'utf8') || 'null') ?? fallback;
+    } catch (e) {
+      const aside = `${candidate}.corrupt-${Date.now()}`;
+      console.error(`${candidate} is not valid JSON (${e.message}); moved to ${aside}`);
+      fs.renameSync(candidate, aside);
+    }
+  }
+  return fallback;
+}
+
+// The delivery log holds one JSON line per saved version of a row and `{ id, removed: true }` once a row is
+// dropped; the last line for an id wins. A torn last line (crash mid-append) is skipped.
+// -> { rows: Map(id -> delivery), lines }, rows oldest first
+export function readDeliveryLog(file) {
+  const rows = new Map();
+  let lines = 0;
+  if (!fs.existsSync(file)) return { rows, lines };
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    lines++;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    if (row.removed) rows.delete(row.id);
+    else rows.set(row.id, row);
+  }
+  return { rows, lines };
+}
+
+// giveaway ids end up in file names
+function safeId(id) {
+  if (!/^[\w-]+$/.test(String(id))) throw new Error(`Invalid giveaway id: ${id}`);
+  return id;
+}
+
+// The pre-storage-layer giveaways.json (one object with every giveaway), if it is still around
+export function takeLegacyGiveaways(dataDir) {
+  const file = path.join(dataDir, 'giveaways.json');
+  if (!fs.existsSync(file)) return null;
+  const giveaways = readJsonFile(file, {});
+  return {
+    giveaways,
+    done() {
+      fs.renameSync(file, `${file}.migrated`);
+      if (fs.existsSync(`${file}.bak`)) fs.renameSync(`${file}.bak`, `${file}.migrated.bak`);
+    }
+  };
+}
+
+export class JsonStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.setupsFile = path.join(dataDir, 'setups.json');
+    this.schedulesFile = path.join(dataDir, 'schedules.json');
+    this.guildsFile = path.join(dataDir, 'guilds.json');
+    this.webhooksFile = path.join(dataDir, 'webhooks.json');
+    this.deliveriesFile = path.join(dataDir, 'webhook-deliveries.jsonl');
+    this.deliveries = new Map();
+    this.deliveryLines = 0;
+    this.hotDir = path.join(dataDir, 'giveaways');
+    this.archiveDir = path.join(dataDir, 'archive');
+    this.archiveIndexFile = path.join(this.archiveDir, 'index.json');
+    for (const dir of [this.hotDir, this.archiveDir]) if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const legacy = takeLegacyGiveaways(dataDir);
+    if (legacy) {
+      const list = Object.values(legacy.giveaways).filter(gw => gw && gw.id);
+      for (const gw of list) this.saveGiveaway(gw);
+      legacy.done();
+      console.log(`Migrated ${list.length} giveaway(s) from giveaways.json to ${this.hotDir}`);
+    }
+  }
+
+  loadSetups() {
+    return readJsonFile(this.setupsFile, {});
+  }
+
+  saveSetups(setups) {
+    writeFileAtomic(this.setupsFile, JSON.stringify(setups, null, 2));
+  }
+
+  loadSchedules() {
+    return readJsonFile(this.schedulesFile, {});
+  }
+
+  saveSchedules(schedules) {
+    writeFileAtomic(this.schedulesFile, JSON.stringify(schedules, null, 2));
+  }
+
+  loadGuildSettings() {
+    return readJsonFile(this.guildsFile, {});
+  }
+
+  saveGuildSettings(guilds) {
+    writeFileAtomic(this.guildsFile, JSON.stringify(guilds, null, 2));
+  }
+
+  loadWebhooks() {
+    return readJsonFile(this.webhooksFile, {});
+  }
+
+  saveWebhooks(webhooks) {
+    writeFileAtomic(this.webhooksFile, JSON.stringify(webhooks, null, 2));
+  }
+
+  loadWebhookDeliveries() {
+    const { rows, lines } = readDeliveryLog(this.deliveriesFile);
+    this.deliveries = rows;
+    this.deliveryLines = lines;
+    if (lines > rows.size) this.compactDeliveries();
+    return [...rows.values()];
+  }
+
+  saveWebhookDeliveries(changed, removedIds) {
+    const lines = [...changed.map(d => JSON.stringify(d)), ...removedIds.map(id => JSON.stringify({ id, removed: true }))];
+    if (!lines.length) return;
+    for (const d of changed) this.deliveries.set(d.id, d);
+    for (const id of removedIds) this.deliveries.delete(id);
+    fs.appendFileSync(this.deliveriesFile, `${lines.join('\n')}\n`);
+    this.deliveryLines += lines.length;
+    if (this.deliveryLines > 2 * this.deliveries.size + 1000) this.compactDeliveries();
+  }
+
+  // Rewrites the delivery log with one line per live row
+  compactDeliveries() {
+    writeFileAtomic(this.deliveriesFile, [...this.deliveries.values()].map(d => `${JSON.stringify(d)}\n`).join(''));
+    this.deliveryLines = this.deliveries.size;
+  }
+
+  loadGiveaways() {
+    const giveaways = {};
+    // a giveaway whose main file was lost mid-write only has its .bak left
+    const ids = new Set(fs.readdirSync(this.hotDir).map(name => (name.match(/^([\w-]+)\.json(\.bak)?$/) || [])[1]).filter(Boolean));
+    for (const id of ids) {
+      const gw = readJsonFile(path.join(this.hotDir, `${id}.json`), null);
+      if (gw && gw.id) giveaways[gw.id] = gw;
+    }
+    return giveaways;
+  }
+
+  saveGiveaway(gw) {
+    writeFileAtomic(path.join(this.hotDir, `${safeId(gw.id)}.json`), JSON.stringify(gw));
+  }
+
+  archiveGiveaway(gw, summary) {
+    const id = safeId(gw.id);
+    writeFileAtomic(path.join(this.archiveDir, `${id}.json`), JSON.stringify(gw));
+    const index = readJsonFile(this.archiveIndexFile, {});
+    index[id] = { ...summary, archivedAt: Date.now() };
+    writeFileAtomic(this.archiveIndexFile, JSON.stringify(index));
+    for (const suffix of ['', '.bak']) {
+      const hot = path.join(this.hotDir, `${id}.json${suffix}`);
+      if (fs.existsSync(hot)) fs.unlinkSync(hot);
+    }
+  }
+
+  loadArchivedGiveaway(id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    return readJsonFile(path.join(this.archiveDir, `${id}.json`), null);
+  }
+
+  listArchivedGiveaways() {
+    return Object.values(readJsonFile(this.archiveIndexFile, {}));
+  }
+
+  close() {}
+}
+
+export async function createStorage({ driver = 'json', dataDir, sqliteFile } = {}) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  if (driver === 'json') return new JsonStorage(dataDir);
+  if (driver === 'sqlite') {
+    const { SqliteStorage } = await import('./sqliteStorage.js').catch(e => {
+      if (e.code === 'ERR_MODULE_NOT_FOUND') throw new Error('STORAGE=sqlite needs better-sqlite3 (npm install better-sqlite3)');
+      throw e;
+    });
+    return SqliteStorage.open({ dataDir, file: sqliteFile || path.join(dataDir, 'giveaways.db') });
+  }
+  throw new Error(`Unknown STORAGE driver "${driver}" (use json or sqlite)`);
+}
@@ -0,0 +1,320 @@
+/**
+ * lib/webhooks.js
+ *
+ * Outbound webhooks: lifecycle events (lib/events.js) POSTed to URLs a guild's editors configure through
+ * /api/webhooks. Webhooks and their delivery log live in storage (webhooks.json / webhook-deliveries.jsonl,
+ * or SQLite).
+ * - Body: the event as JSON. Headers: X-Giveaway-Event, X-Giveaway-Delivery, X-Giveaway-Timestamp (ms) and
+ *   X-Giveaway-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook's secret>;
+ *   receivers check it with verifySignature (webhook-receiver.js is a local receiver for trying it out)
+ * - Any 2xx answer within WEBHOOK_TIMEOUT_MS is a delivery; anything else is retried after each of
+ *   RETRY_DELAYS_MS, then the delivery is marked failed. Redirects are not followed.
+ * - Editors may be another guild's staff, so URLs on loopback, private or link-local addresses (the bot
+ *   host's network, cloud metadata) are refused when saved and again for every address a host name resolves
+ *   to when sending. `allowPrivate` (WEBHOOK_ALLOW_PRIVATE_URLS=1) lifts that for local testing.
+ * - Retries mean deliveries can arrive out of order; receivers should order by the event's `at`
+ * - A replay sends a logged delivery's body again as a new delivery (fresh timestamp and signature)
+ * - The log keeps the last MAX_DELIVERIES finished deliveries; pending ones survive restarts. A receiver that
+ *   stays down cannot grow it without bound: past MAX_PENDING waiting deliveries for one webhook the oldest
+ *   are marked failed (they can still be replayed). Only rows that changed since the last tick are saved.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { EVENT_TYPES, newEventId } from './events.js';
+import { MANAGED_RECORD_FIELDS, pickFields } from './records.js';
+
+// draw progress fires several times a second; it stays on the live dashboard
+export const WEBHOOK_EVENTS = EVENT_TYPES.filter(type => type !== 'giveaway.draw_progress');
+export const RETRY_DELAYS_MS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60].map(s => s * 1000);
+export const WEBHOOK_TIMEOUT_MS = 10000;
+export const MAX_DELIVERIES = 500;
+export const MAX_PENDING = 200;
+export const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const MAX_IN_FLIGHT = 4;
+const TICK_MS = 1000;
+
+// loopback, private, shared (CGNAT), link-local, multicast and reserved ranges; IPv4-mapped IPv6 addresses
+// are checked against the IPv4 rules
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+
+export function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  return type !== 0 && PRIVATE_ADDRESSES.check(address, type === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why `url` may not be a webhook target (judged on the URL alone; host names are checked when sending), or null
+export function blockedUrl(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'points at this machine';
+  if (isPrivateAddress(host)) return 'points at a private or local address';
+  return null;
+}
+
+export const MANAGED_WEBHOOK_FIELDS = [...MANAGED_RECORD_FIELDS, 'secret'];
+const EDITABLE_WEBHOOK_FIELDS = ['url', 'events', 'enabled', 'description'];
+
+export function validateWebhook(input, { allowPrivate = false } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['webhook must be a JSON object'], webhook: null };
+  const unknown = Object.keys(input).filter(k => !EDITABLE_WEBHOOK_FIELDS.includes(k) && !MANAGED_WEBHOOK_FIELDS.includes(k));
+  if (unknown.length) errors.push(`unknown field(s): ${unknown.join(', ')}`);
+
+  const webhook = {
+    url: typeof input.url === 'string' ? input.url.trim() : '',
+    events: [], // [] = every event, including types added later
+    enabled: input.enabled === undefined ? true : input.enabled,
+    description: typeof input.description === 'string' ? input.description.trim() : ''
+  };
+  let url = null;
+  try { url = new URL(webhook.url); } catch (e) { /* reported below */ }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url: must be an http(s) URL');
+  else if (webhook.url.length > 2000) errors.push('url: must be at most 2000 characters');
+  else if (!allowPrivate && blockedUrl(url)) errors.push(`url: ${blockedUrl(url)}`);
+  if (input.events !== undefined && input.events !== null) {
+    if (!Array.isArray(input.events)) errors.push('events: must be an array of event types');
+    else {
+      const bad = input.events.filter(type => !WEBHOOK_EVENTS.includes(type));
+      if (bad.length) errors.push(`events: unknown event type(s) ${bad.join(', ')} (use ${WEBHOOK_EVENTS.join(', ')})`);
+      webhook.events = WEBHOOK_EVENTS.filter(type => input.events.includes(type));
+    }
+  }
+  if (typeof webhook.enabled !== 'boolean') { errors.push('enabled: must be true or false'); webhook.enabled = true; }
+  if (input.description !== undefined && typeof input.description !== 'string') errors.push('description: must be a string');
+  if (webhook.description.length > 200) errors.push('description: must be at most 200 characters');
+  return { errors, webhook };
+}
+
+// The editable part of a stored webhook (what PATCH merges into)
+export function editableWebhookFields(webhook) {
+  return pickFields(webhook, EDITABLE_WEBHOOK_FIELDS);
+}
+
+export function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function wantsEvent(webhook, event) {
+  if (!webhook.enabled || webhook.guildId !== event.guildId || !WEBHOOK_EVENTS.includes(event.type)) return false;
+  return !webhook.events.length || webhook.events.includes(event.type);
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers: true when `signature` is ours for this body and the timestamp is recent (replay guard)
+export function verifySignature(secret, { timestamp, signature }, body, now = Date.now()) {
+  if (!signature || !Number.isFinite(Number(timestamp)) || Math.abs(now - Number(timestamp)) > SIGNATURE_TOLERANCE_MS) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// dns.lookup that fails for private addresses; used for the connection itself, so a host name cannot
+// pass a separate check and then resolve somewhere else
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const bad = (Array.isArray(address) ? address : [{ address }]).find(a => isPrivateAddress(a.address));
+    if (bad) return callback(Object.assign(new Error(`${hostname} resolves to a private or local address`), { code: 'EPRIVATEADDRESS' }));
+    callback(null, address, family);
+  });
+}
+
+// POST `body` to `url`; resolves { status, response } with the first 200 characters of the answer
+function post(url, headers, body, { allowPrivate }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const blocked = !allowPrivate && blockedUrl(target);
+    if (blocked) return reject(Object.assign(new Error(`webhook URL ${blocked}`), { code: 'EPRIVATEADDRESS' }));
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowPrivate ? undefined : publicLookup
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { if (text.length < 200) text += chunk; });
+      res.on('end', () => { clearTimeout(timer); resolve({ status: res.statusCode, response: text.slice(0, 200) }); });
+      res.on('error', e => { clearTimeout(timer); reject(e); });
+    });
+    const timer = setTimeout(() => request.destroy(new Error(`no answer within ${WEBHOOK_TIMEOUT_MS / 1000}s`)), WEBHOOK_TIMEOUT_MS);
+    request.on('error', e => { clearTimeout(timer); reject(e); });
+    request.end(body);
+  });
+}
+
+// Delivery log row:
+//   { id, webhookId, eventId, type, giveawayId, body, status: 'pending' | 'delivered' | 'failed',
+//     attempts: [{ at, durationMs, status, response?, error? }], createdAt, nextAttemptAt, finishedAt, replayOf }
+export class WebhookDispatcher {
+  // webhooks() -> { [id]: webhook }; load() -> [delivery] and save(changed, removedIds) persist the delivery
+  // log, at most once per tick and only the rows added, updated or dropped since the last save
+  constructor({ webhooks, load, save, allowPrivate = false }) {
+    this.webhooks = webhooks;
+    this.save = save;
+    this.allowPrivate = allowPrivate;
+    this.deliveries = load(); // oldest first
+    this.inFlight = new Set();
+    this.changes = new Map(); // id -> delivery
+    this.removed = new Set();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  dispatch(event) {
+    for (const webhook of Object.values(this.webhooks())) if (wantsEvent(webhook, event)) this.queue(webhook, event);
+  }
+
+  // A `ping` event, to try a webhook from the web UI
+  ping(webhook) {
+    const event = { id: newEventId(), type: 'ping', at: Date.now(), giveawayId: null, guildId: webhook.guildId, giveaway: null, data: { webhookId: webhook.id } };
+    return this.queue(webhook, event);
+  }
+
+  replay(delivery) {
+    const webhook = this.webhooks()[delivery.webhookId];
+    if (!webhook) return null;
+    return this.queue(webhook, { id: delivery.eventId, type: delivery.type, giveawayId: delivery.giveawayId }, { body: delivery.body, replayOf: delivery.id });
+  }
+
+  queue(webhook, event, { body = JSON.stringify(event), replayOf = null } = {}) {
+    const now = Date.now();
+    const delivery = {
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      webhookId: webhook.id,
+      eventId: event.id,
+      type: event.type,
+      giveawayId: event.giveawayId || null,
+      body,
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now,
+      finishedAt: null,
+      replayOf
+    };
+    this.deliveries.push(delivery);
+    this.changed(delivery);
+    this.capPending(webhook.id);
+    return delivery;
+  }
+
+  // Gives up on the oldest waiting deliveries of a webhook past MAX_PENDING (ones being sent right now are left alone)
+  capPending(webhookId) {
+    const waiting = this.deliveries.filter(d => d.webhookId === webhookId && d.status === 'pending' && !this.inFlight.has(d.id));
+    if (waiting.length <= MAX_PENDING) return;
+    for (const d of waiting.slice(0, waiting.length - MAX_PENDING)) {
+      this.finish(d, 'failed', { at: Date.now(), durationMs: 0, status: null, error: `dropped: more than ${MAX_PENDING} deliveries waiting` });
+    }
+  }
+
+  // Newest first
+  list(webhookId, limit = 50) {
+    const out = [];
+    for (let i = this.deliveries.length - 1; i >= 0 && out.length < limit; i--) {
+      if (this.deliveries[i].webhookId === webhookId) out.push(this.deliveries[i]);
+    }
+    return out;
+  }
+
+  get(deliveryId) {
+    return this.deliveries.find(d => d.id === deliveryId) || null;
+  }
+
+  // Drop the log of a deleted webhook
+  forget(webhookId) {
+    const gone = this.deliveries.filter(d => d.webhookId === webhookId);
+    this.deliveries = this.deliveries.filter(d => d.webhookId !== webhookId);
+    for (const d of gone) this.drop(d.id);
+  }
+
+  tick() {
+    const now = Date.now();
+    for (const d of this.deliveries) {
+      if (this.inFlight.size >= MAX_IN_FLIGHT) break;
+      if (d.status !== 'pending' || d.nextAttemptAt > now || this.inFlight.has(d.id)) continue;
+      this.inFlight.add(d.id);
+      this.attempt(d)
+        .catch(e => console.error('webhook delivery error', d.id, e))
+        .finally(() => this.inFlight.delete(d.id));
+    }
+    this.flush();
+  }
+
+  async attempt(d) {
+    const webhook = this.webhooks()[d.webhookId];
+    if (!webhook || !webhook.enabled) {
+      this.finish(d, 'failed', { at: Date.now(), durationMs: 0, status: null, error: webhook ? 'webhook is disabled' : 'webhook was deleted' });
+      return;
+    }
+    const at = Date.now();
+    const attempt = { at, durationMs: 0, status: null };
+    let refused = false;
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'giveaway-battle-royale-bot',
+        'X-Giveaway-Event': d.type,
+        'X-Giveaway-Delivery': d.id,
+        'X-Giveaway-Timestamp': String(at),
+        'X-Giveaway-Signature': signPayload(webhook.secret, at, d.body)
+      };
+      Object.assign(attempt, await post(webhook.url, headers, d.body, { allowPrivate: this.allowPrivate }));
+    } catch (e) {
+      attempt.error = e.code ? `${e.message} (${e.code})` : e.message;
+      refused = e.code === 'EPRIVATEADDRESS'; // retrying would not change that
+    }
+    attempt.durationMs = Date.now() - at;
+    if (attempt.status >= 200 && attempt.status < 300) this.finish(d, 'delivered', attempt);
+    else if (refused || d.attempts.length >= RETRY_DELAYS_MS.length) this.finish(d, 'failed', attempt);
+    else {
+      d.attempts.push(attempt);
+      d.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[d.attempts.length - 1];
+      this.changed(d);
+    }
+  }
+
+  finish(d, status, attempt) {
+    d.attempts.push(attempt);
+    d.status = status;
+    d.nextAttemptAt = null;
+    d.finishedAt = Date.now();
+    this.changed(d);
+  }
+
+  changed(d) {
+    this.changes.set(d.id, d);
+    const finished = this.deliveries.filter(row => row.status !== 'pending');
+    if (finished.length <= MAX_DELIVERIES) return;
+    const old = new Set(finished.slice(0, finished.length - MAX_DELIVERIES));
+    this.deliveries = this.deliveries.filter(row => !old.has(row));
+    for (const row of old) this.drop(row.id);
+  }
+
+  drop(deliveryId) {
+    this.changes.delete(deliveryId);
+    this.removed.add(deliveryId);
+  }
+
+  flush() {
+    if (!this.changes.size && !this.removed.size) return;
+    const changed = [...this.changes.values()];
+    const removedIds = [...this.removed];
+    this.changes.clear();
+    this.removed.clear();
+    this.save(changed, removedIds);
+  }
+}
@@ -1,8 +1,117 @@
+function escapeHtml(str) {
+  return String(str == null ? '' : str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// fetch for the API; sends the user to the login page when the session is gone
+async function api(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    location.href = `/login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+    throw new Error('login required');
+  }
+  return res;
+}
+
+async function showUser() {
+  const me = await (await api('/api/auth/me')).json();
+  document.getElementById('whoami').innerHTML = `Signed in as ${escapeHtml(me.name)} (${me.role}) · <a href="#" id="logout">Log out</a>`;
+  document.getElementById('logout').addEventListener('click', async e => {
+    e.preventDefault();
+    await fetch('/api/auth/logout', { method: 'POST' });
+    location.href = '/login.html';
+  });
+  return me;
+}
+
+// Setups, schedules and settings belong to the server picked in the selector (remembered per browser)
+let guildId = localStorage.getItem('guild') || '';
+
+function inGuild(url) {
+  return `${url}${url.includes('?') ? '&' : '?'}guild=${encodeURIComponent(guildId)}`;
+}
+
+async function loadGuilds() {
+  const { guilds } = await (await api('/api/guilds')).json();
+  const select = document.getElementById('guild');
+  select.innerHTML = guilds.length
+    ? guilds.map(g => `<option value="${g.id}">${escapeHtml(g.name || g.id)}${g.connected ? '' : ' (bot not in server)'}</option>`).join('')
+    : '<option value="">No servers yet — invite the bot first</option>';
+  if (!guilds.some(g => g.id === guildId)) guildId = guilds.length ? guilds[0].id : '';
+  select.value = guildId;
+}
+
+document.getElementById('guild').addEventListener('change', e => {
+  guildId = e.target.value;
+  localStorage.setItem('guild', guildId);
+  stopEdit();
+  stopScheduleEdit();
+  document.getElementById('deliveriesCard').style.display = 'none';
+  document.getElementById('webhookSecret').innerText = '';
+  load();
+});
+
 async function fetchSetups() {
-  const res = await fetch('/api/setups');
+  const res = await api(inGuild('/api/setups'));
   return res.json();
 }
 
+function idList(value) {
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function describeEligibility(rules) {
+  if (!rules) return 'anyone';
+  const parts = [];
+  if (rules.minAccountAgeDays) parts.push(`account ≥ ${rules.minAccountAgeDays}d`);
+  if (rules.minServerAgeDays) parts.push(`in server ≥ ${rules.minServerAgeDays}d`);
+  if ((rules.requiredRoles || []).length) parts.push(`requires roles ${rules.requiredRoles.join(', ')}`);
+  if ((rules.excludedRoles || []).length) parts.push(`excludes roles ${rules.excludedRoles.join(', ')}`);
+  if ((rules.blacklist || []).length) parts.push(`${rules.blacklist.length} blacklisted`);
+  return parts.join(' · ') || 'anyone';
+}
+
+function describeRejections(rej) {
+  if (!rej || !rej.total) return 'none';
+  return `${rej.total} (${Object.entries(rej.byReason).map(([reason, n]) => `${reason}: ${n}`).join(', ')})`;
+}
+
+function describeWeighting(s) {
+  const w = s.weighting || {};
+  const parts = [w.policy || 'max'];
+  if (Number(w.boosterEntries)) parts.push(`booster ${w.boosterEntries}`);
+  if (w.earlyMemberBefore && Number(w.earlyMemberEntries)) parts.push(`joined before ${w.earlyMemberBefore} ${w.earlyMemberEntries}`);
+  if (Number(w.maxPerUser)) parts.push(`max ${w.maxPerUser}/user`);
+  return parts.join(' · ');
+}
+
+// "30%" -> { eliminatePercent: 0.3 }, "100" -> { eliminateCount: 100 }
+function parseElimination(text) {
+  const t = text.trim();
+  if (t.endsWith('%')) return { eliminatePercent: parseFloat(t) / 100 };
+  return { eliminateCount: parseInt(t, 10) };
+}
+
+function readScheduleForm() {
+  const rounds = document.getElementById('rounds').value.split(',').filter(r => r.trim()).map(parseElimination);
+  const chunk = parseElimination(document.getElementById('finalChunk').value || '12%');
+  return {
+    rounds,
+    finalChunkPercent: chunk.eliminatePercent,
+    finalChunkCount: chunk.eliminateCount,
+    gapSeconds: parseFloat(document.getElementById('gapSeconds').value),
+    roundSeconds: parseFloat(document.getElementById('roundSeconds').value),
+    previewUpdates: parseInt(document.getElementById('previewUpdates').value, 10),
+    finalPauseSeconds: parseFloat(document.getElementById('finalPauseSeconds').value)
+  };
+}
+
+function describeSchedule(schedule) {
+  if (!schedule) return 'default';
+  const rounds = schedule.rounds.map(r => (r.eliminateCount ? `−${r.eliminateCount}` : `${Math.round(r.eliminatePercent * 100)}%`)).join(', ');
+  const chunk = schedule.finalChunkCount ? `${schedule.finalChunkCount}` : `${Math.round(schedule.finalChunkPercent * 100)}%`;
+  return `${rounds || 'no rounds'} → final chunks ${chunk} · ${schedule.gapSeconds}s gaps · ${schedule.roundSeconds}s rounds · ${schedule.previewUpdates} updates`;
+}
+
 function renderSetups(setups) {
   const container = document.getElementById('setupsList');
   container.innerHTML = '';
@@ -11,48 +120,513 @@ function renderSetups(setups) {
   for (const s of arr) {
     const el = document.createElement('div');
     el.className = 'card';
+    // setups can come from imported bundles: everything they carry is escaped
+    const label = escapeHtml(s.name || s.id);
     el.innerHTML = `
-      <h4>${s.name || s.id}</h4>
-      <p>${s.description || ''}</p>
-      <p><strong>Collect:</strong> ${s.collectDuration || s.collect || 30}s · <strong>Base entries:</strong> ${s.baseEntries || 1}</p>
-      <pre style="white-space:pre-wrap">${JSON.stringify(s.roleEntries || [], null, 2)}</pre>
-      <p>To start this setup from Discord type: <code>$start ${s.name || s.id}</code></p>
-      <button data-id="${s.id}" class="del">Delete</button>
+      <h4>${label}</h4>
+      <p>${escapeHtml(s.description)}</p>
+      <p><strong>Collect:</strong> ${escapeHtml(s.collectDuration || s.collect || 30)}s · <strong>Base entries:</strong> ${escapeHtml(s.baseEntries || 1)} · <strong>Weighting:</strong> ${escapeHtml(describeWeighting(s))}</p>
+      <pre style="white-space:pre-wrap">${escapeHtml(JSON.stringify(s.roleEntries || [], null, 2))}</pre>
+      <p><strong>Winners:</strong> ${escapeHtml(s.winnerCount || 1)}${s.allowMultipleWins ? ' (multiple wins allowed)' : ''}${s.claimMinutes ? ` · must claim within ${escapeHtml(s.claimMinutes)} min` : ''}</p>
+      ${(s.prizes || []).length ? `<ol>${s.prizes.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ol>` : ''}
+      <p><strong>Schedule:</strong> ${escapeHtml(describeSchedule(s.schedule))}</p>
+      <p><strong>Eligible:</strong> ${escapeHtml(describeEligibility(s.eligibility))}</p>
+      <p><strong>Rejected joins:</strong> ${escapeHtml(describeRejections(s.joinRejections))}</p>
+      ${s.createdBy ? `<p class="muted">Created by ${escapeHtml(s.createdBy)}${s.createdAt ? ` on ${new Date(s.createdAt).toLocaleString()}` : ''}</p>` : ''}
+      <p>To start this setup from Discord use <code>/giveaway start setup:${label}</code> (or the legacy <code>$start ${label}</code>)</p>
+      <p class="muted">Version ${escapeHtml(s.version || 1)}${s.updatedBy ? ` · last edited by ${escapeHtml(s.updatedBy)}` : ''}</p>
+      <span class="edit-only">
+        <button data-id="${escapeHtml(s.id)}" class="edit">Edit</button>
+        <button data-id="${escapeHtml(s.id)}" class="clone">Clone</button>
+        <button data-id="${escapeHtml(s.id)}" class="del">Delete</button>
+      </span>
+      <a href="${escapeHtml(inGuild(`/api/setups/export?ids=${encodeURIComponent(s.id)}`))}">Export</a>
     `;
     container.appendChild(el);
   }
 
+  container.querySelectorAll('.edit').forEach(btn => {
+    btn.addEventListener('click', () => startEdit(setups[btn.dataset.id]));
+  });
+
+  container.querySelectorAll('.clone').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const res = await api(inGuild(`/api/setups/${btn.dataset.id}/clone`), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+      const result = await res.json();
+      if (!result.ok) showError(result);
+      load();
+    });
+  });
+
   container.querySelectorAll('.del').forEach(btn => {
     btn.addEventListener('click', async () => {
       const id = btn.dataset.id;
       if (!confirm('Delete setup?')) return;
-      await fetch(`/api/setups/${id}`, { method: 'DELETE' });
+      const res = await api(inGuild(`/api/setups/${id}`), { method: 'DELETE' });
+      const result = await res.json();
+      if (!result.ok) alert(result.error);
       load();
     });
   });
 }
 
+// Setup fields the server needs to compute entry counts
+function readWeightingForm() {
+  let roleEntries = [];
+  try {
+    roleEntries = JSON.parse(document.getElementById('roleEntries').value || '[]');
+  } catch (e) { throw new Error('roleEntries must be valid JSON'); }
+  return {
+    baseEntries: parseInt(document.getElementById('baseEntries').value || '1', 10),
+    roleEntries,
+    weighting: {
+      policy: document.getElementById('policy').value,
+      boosterEntries: parseInt(document.getElementById('boosterEntries').value || '0', 10),
+      earlyMemberBefore: document.getElementById('earlyMemberBefore').value || null,
+      earlyMemberEntries: parseInt(document.getElementById('earlyMemberEntries').value || '0', 10),
+      maxPerUser: parseInt(document.getElementById('maxPerUser').value || '0', 10)
+    }
+  };
+}
+
+document.getElementById('preview').addEventListener('click', async () => {
+  let setup;
+  try { setup = readWeightingForm(); } catch (e) { alert(e.message); return; }
+  const body = {
+    setup,
+    roleIds: idList(document.getElementById('previewRoles').value),
+    isBooster: document.getElementById('previewBooster').checked,
+    joinedAt: document.getElementById('previewJoined').value || null
+  };
+  const res = await api('/api/entries/preview', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const { result } = await res.json();
+  const sources = result.sources.map(s => `${s.source}: ${s.value}`).join(', ') || 'no bonuses';
+  document.getElementById('previewResult').innerText =
+    `${result.count} entries (${result.policy}; ${sources}${result.uncapped > result.count ? `; capped from ${result.uncapped}` : ''})`;
+});
+
 async function load() {
+  if (!guildId) {
+    document.getElementById('setupsList').innerText = 'Pick a server first.';
+    document.getElementById('schedulesList').innerText = 'Pick a server first.';
+    return;
+  }
+  document.getElementById('exportAll').href = inGuild('/api/setups/export');
   const setups = await fetchSetups();
   renderSetups(setups);
+  fillScheduleSetups(setups);
+  loadSchedules();
+  loadGuildSettings();
+  loadUnassigned();
+  loadWebhooks();
+}
+
+// Whole setup form -> API body (the server validates it and answers with every problem at once)
+function readSetupForm() {
+  const { baseEntries, roleEntries, weighting } = readWeightingForm();
+  return {
+    name: document.getElementById('name').value.trim(),
+    description: document.getElementById('desc').value.trim(),
+    collectDuration: parseInt(document.getElementById('collect').value || '30', 10),
+    baseEntries,
+    roleEntries,
+    winnerCount: parseInt(document.getElementById('winnerCount').value || '1', 10),
+    prizes: document.getElementById('prizes').value.split('\n').map(p => p.trim()).filter(Boolean),
+    allowMultipleWins: document.getElementById('allowMultipleWins').checked,
+    claimMinutes: parseInt(document.getElementById('claimMinutes').value || '0', 10),
+    attachReport: document.getElementById('attachReport').checked,
+    eligibility: {
+      minAccountAgeDays: parseInt(document.getElementById('minAccountAgeDays').value || '0', 10),
+      minServerAgeDays: parseInt(document.getElementById('minServerAgeDays').value || '0', 10),
+      requiredRoles: idList(document.getElementById('requiredRoles').value),
+      excludedRoles: idList(document.getElementById('excludedRoles').value),
+      blacklist: idList(document.getElementById('blacklist').value)
+    },
+    weighting,
+    schedule: readScheduleForm()
+  };
+}
+
+function formatElimination(r) {
+  return r.eliminateCount ? `${r.eliminateCount}` : `${Math.round(r.eliminatePercent * 1000) / 10}%`;
+}
+
+// Stored setup -> form (for editing); missing fields fall back to the form defaults
+function fillSetupForm(s) {
+  const w = s.weighting || {};
+  const e = s.eligibility || {};
+  const schedule = s.schedule || {};
+  const set = (id, value) => { document.getElementById(id).value = value === undefined || value === null ? '' : value; };
+  set('name', s.name);
+  set('desc', s.description);
+  set('collect', s.collectDuration || 30);
+  set('baseEntries', s.baseEntries || 1);
+  set('roleEntries', JSON.stringify(s.roleEntries || []));
+  set('policy', w.policy || 'max');
+  set('boosterEntries', w.boosterEntries || 0);
+  set('earlyMemberBefore', w.earlyMemberBefore ? String(w.earlyMemberBefore).slice(0, 10) : '');
+  set('earlyMemberEntries', w.earlyMemberEntries || 0);
+  set('maxPerUser', w.maxPerUser || 0);
+  set('winnerCount', s.winnerCount || 1);
+  set('prizes', (s.prizes || []).join('\n'));
+  document.getElementById('allowMultipleWins').checked = !!s.allowMultipleWins;
+  set('claimMinutes', s.claimMinutes || 0);
+  document.getElementById('attachReport').checked = !!s.attachReport;
+  set('rounds', schedule.rounds ? schedule.rounds.map(formatElimination).join(', ') : '30%, 40%, 25%');
+  set('finalChunk', schedule.finalChunkCount ? `${schedule.finalChunkCount}` : `${Math.round((schedule.finalChunkPercent || 0.12) * 1000) / 10}%`);
+  set('gapSeconds', schedule.gapSeconds !== undefined ? schedule.gapSeconds : 3);
+  set('roundSeconds', schedule.roundSeconds || 4.5);
+  set('previewUpdates', schedule.previewUpdates || 5);
+  set('finalPauseSeconds', schedule.finalPauseSeconds !== undefined ? schedule.finalPauseSeconds : 1);
+  set('minAccountAgeDays', e.minAccountAgeDays || 0);
+  set('minServerAgeDays', e.minServerAgeDays || 0);
+  set('requiredRoles', (e.requiredRoles || []).join(','));
+  set('excludedRoles', (e.excludedRoles || []).join(','));
+  set('blacklist', (e.blacklist || []).join(','));
+}
+
+let editingId = null; // setup being edited, null = creating
+
+function startEdit(setup) {
+  editingId = setup.id;
+  fillSetupForm(setup);
+  document.getElementById('formTitle').innerText = `Edit "${setup.name}" (v${setup.version || 1})`;
+  document.getElementById('create').innerText = 'Save changes';
+  document.getElementById('cancelEdit').style.display = '';
+  document.getElementById('createCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+function stopEdit() {
+  editingId = null;
+  fillSetupForm({});
+  document.getElementById('formTitle').innerText = 'Create a Setup';
+  document.getElementById('create').innerText = 'Create setup';
+  document.getElementById('cancelEdit').style.display = 'none';
+}
+
+function showError(result) {
+  alert(`${result.error}${result.details ? `:\n${result.details.join('\n')}` : ''}`);
 }
 
 document.getElementById('create').addEventListener('click', async () => {
-  const name = document.getElementById('name').value.trim();
-  const description = document.getElementById('desc').value.trim();
-  const collectDuration = parseInt(document.getElementById('collect').value || '30', 10);
-  const baseEntries = parseInt(document.getElementById('baseEntries').value || '1', 10);
-  let roleEntries = [];
-  try {
-    roleEntries = JSON.parse(document.getElementById('roleEntries').value || '[]');
-  } catch (e) { alert('roleEntries must be valid JSON'); return; }
-  if (!name) { alert('Name required'); return; }
-  const body = { name, description, collectDuration, baseEntries, roleEntries };
-  await fetch('/api/setups', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-  document.getElementById('name').value = '';
-  document.getElementById('desc').value = '';
-  document.getElementById('roleEntries').value = '[]';
+  let body;
+  try { body = readSetupForm(); } catch (e) { alert(e.message); return; }
+  const url = editingId ? `/api/setups/${editingId}` : '/api/setups';
+  const res = await api(inGuild(url), { method: editingId ? 'PUT' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const result = await res.json();
+  if (!result.ok) { showError(result); return; }
+  stopEdit();
   load();
 });
+document.getElementById('cancelEdit').addEventListener('click', stopEdit);
 
-load();
+document.getElementById('importBtn').addEventListener('click', async () => {
+  const file = document.getElementById('importFile').files[0];
+  if (!file) { alert('Pick a setups bundle (.json) first'); return; }
+  let bundle;
+  try { bundle = JSON.parse(await file.text()); } catch (e) { alert('That file is not valid JSON'); return; }
+  const onConflict = document.getElementById('importConflict').value;
+  const res = await api(inGuild('/api/setups/import'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ bundle, onConflict }) });
+  const result = await res.json();
+  if (!result.ok) { showError(result); return; }
+  document.getElementById('importResult').innerText =
+    `Imported ${result.imported.length}${result.skipped.length ? `, skipped ${result.skipped.length} (name already used: ${result.skipped.join(', ')})` : ''}.`;
+  load();
+});
+
+// Scheduled giveaways (/api/schedules)
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+let schedules = [];
+let editingScheduleId = null;
+
+document.getElementById('schedDays').innerHTML = WEEKDAYS
+  .map(d => `<label style="font-weight:normal;margin-right:8px"><input type="checkbox" value="${d}" style="width:auto" /> ${d}</label>`).join('');
+
+function fillScheduleSetups(setups) {
+  const select = document.getElementById('schedSetup');
+  const current = select.value;
+  select.innerHTML = Object.values(setups).sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name || s.id)}</option>`).join('');
+  if (current) select.value = current;
+}
+
+// show only the inputs that matter for the chosen repeat / auto-run mode
+function syncScheduleForm() {
+  const repeat = document.getElementById('schedRepeat').value;
+  document.getElementById('schedDateRow').style.display = repeat === 'once' ? '' : 'none';
+  document.getElementById('schedDaysRow').style.display = repeat === 'weekly' ? '' : 'none';
+  document.getElementById('schedSeedsRow').style.display = document.getElementById('schedAutoRun').value === 'committed' ? '' : 'none';
+}
+document.getElementById('schedRepeat').addEventListener('change', syncScheduleForm);
+document.getElementById('schedAutoRun').addEventListener('change', syncScheduleForm);
+
+function readRunScheduleForm() {
+  const body = {
+    setupId: document.getElementById('schedSetup').value,
+    channelId: document.getElementById('schedChannel').value.trim(),
+    repeat: document.getElementById('schedRepeat').value,
+    date: document.getElementById('schedDate').value || null,
+    days: [...document.querySelectorAll('#schedDays input:checked')].map(i => i.value),
+    time: document.getElementById('schedTime').value,
+    timezone: document.getElementById('schedTimezone').value.trim(),
+    autoRun: document.getElementById('schedAutoRun').value,
+    missedRuns: document.getElementById('schedMissed').value,
+    lateGraceMinutes: parseInt(document.getElementById('schedGrace').value || '60', 10)
+  };
+  // empty seed inputs keep the stored seeds when editing (the server never sends them back)
+  const seed1 = document.getElementById('schedSeed1').value.trim();
+  const seed2 = document.getElementById('schedSeed2').value.trim();
+  if (seed1 || !editingScheduleId) body.clientSeed1 = seed1;
+  if (seed2 || !editingScheduleId) body.clientSeed2 = seed2;
+  return body;
+}
+
+function fillRunScheduleForm(sc) {
+  const set = (id, value) => { document.getElementById(id).value = value === undefined || value === null ? '' : value; };
+  if (sc.setupId) set('schedSetup', sc.setupId);
+  set('schedChannel', sc.channelId);
+  set('schedRepeat', sc.repeat || 'once');
+  set('schedDate', sc.date);
+  document.querySelectorAll('#schedDays input').forEach(i => { i.checked = (sc.days || []).includes(i.value); });
+  set('schedTime', sc.time || '18:00');
+  set('schedTimezone', sc.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+  set('schedAutoRun', sc.autoRun || 'off');
+  set('schedSeed1', '');
+  set('schedSeed2', '');
+  set('schedMissed', sc.missedRuns || 'skip');
+  set('schedGrace', sc.lateGraceMinutes || 60);
+  syncScheduleForm();
+}
+
+function describeRunSchedule(sc) {
+  const when = sc.repeat === 'once' ? `once on ${sc.date}` : sc.repeat === 'daily' ? 'every day' : `every ${sc.days.join(', ')}`;
+  const draw = { off: 'staff enter seeds', committed: `auto, committed seeds (SHA-256 ${sc.clientSeedsHash.slice(0, 12)}…)`, derived: 'auto, derived seeds' }[sc.autoRun];
+  const missed = sc.missedRuns === 'run_late' ? `missed runs start up to ${sc.lateGraceMinutes} min late` : 'missed runs are skipped';
+  return `${when} at ${sc.time} (${escapeHtml(sc.timezone)}) · draw: ${draw} · ${missed}`;
+}
+
+function describeRun(run) {
+  const at = new Date(run.scheduledFor).toLocaleString();
+  if (run.status === 'started') return `${at}: started ${escapeHtml(run.giveawayId)}${run.late ? ' (late)' : ''}`;
+  if (run.status === 'failed') return `${at}: failed — ${escapeHtml(run.error)}`;
+  return `${at}: missed (bot offline)${run.missedBefore ? `, plus ${run.missedBefore} earlier` : ''}`;
+}
+
+async function loadSchedules() {
+  const result = await (await api(inGuild('/api/schedules'))).json();
+  schedules = result.schedules || [];
+  const container = document.getElementById('schedulesList');
+  container.innerHTML = schedules.length ? '' : 'No schedules yet.';
+  for (const sc of schedules) {
+    const el = document.createElement('div');
+    el.className = 'card';
+    el.innerHTML = `
+      <h4>${escapeHtml(sc.setupName || sc.setupId)} → ${sc.channelId ? `channel ${escapeHtml(sc.channelId)}` : 'default channel'}${sc.enabled ? '' : ' (paused)'}</h4>
+      <p>${describeRunSchedule(sc)}</p>
+      <p><strong>Next run:</strong> ${sc.nextRunAt ? new Date(sc.nextRunAt).toLocaleString() : '—'}</p>
+      ${(sc.runs || []).length ? `<p class="muted">${sc.runs.slice(0, 3).map(describeRun).join('<br>')}</p>` : ''}
+      <span class="edit-only">
+        <button data-id="${sc.id}" class="sched-edit">Edit</button>
+        <button data-id="${sc.id}" class="sched-toggle">${sc.enabled ? 'Pause' : 'Resume'}</button>
+        <button data-id="${sc.id}" class="sched-del">Delete</button>
+      </span>
+    `;
+    container.appendChild(el);
+  }
+  container.querySelectorAll('.sched-edit').forEach(btn => btn.addEventListener('click', () => startScheduleEdit(schedules.find(sc => sc.id === btn.dataset.id))));
+  container.querySelectorAll('.sched-toggle').forEach(btn => btn.addEventListener('click', async () => {
+    const sc = schedules.find(s => s.id === btn.dataset.id);
+    const res = await api(inGuild(`/api/schedules/${sc.id}`), { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled: !sc.enabled }) });
+    const result = await res.json();
+    if (!result.ok) showError(result);
+    loadSchedules();
+  }));
+  container.querySelectorAll('.sched-del').forEach(btn => btn.addEventListener('click', async () => {
+    if (!confirm('Delete schedule?')) return;
+    const result = await (await api(inGuild(`/api/schedules/${btn.dataset.id}`), { method: 'DELETE' })).json();
+    if (!result.ok) alert(result.error);
+    loadSchedules();
+  }));
+}
+
+function startScheduleEdit(sc) {
+  editingScheduleId = sc.id;
+  fillRunScheduleForm(sc);
+  document.getElementById('scheduleFormTitle').innerText = 'Edit schedule';
+  document.getElementById('saveSchedule').innerText = 'Save schedule';
+  document.getElementById('cancelScheduleEdit').style.display = '';
+  document.getElementById('scheduleCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+function stopScheduleEdit() {
+  editingScheduleId = null;
+  fillRunScheduleForm({});
+  document.getElementById('scheduleFormTitle').innerText = 'New schedule';
+  document.getElementById('saveSchedule').innerText = 'Create schedule';
+  document.getElementById('cancelScheduleEdit').style.display = 'none';
+}
+
+document.getElementById('saveSchedule').addEventListener('click', async () => {
+  const url = editingScheduleId ? `/api/schedules/${editingScheduleId}` : '/api/schedules';
+  const res = await api(inGuild(url), { method: editingScheduleId ? 'PATCH' : 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(readRunScheduleForm()) });
+  const result = await res.json();
+  if (!result.ok) { showError(result); return; }
+  stopScheduleEdit();
+  loadSchedules();
+});
+document.getElementById('cancelScheduleEdit').addEventListener('click', stopScheduleEdit);
+fillRunScheduleForm({});
+
+// Server settings (/api/guilds/:guildId/settings)
+async function loadGuildSettings() {
+  const { settings } = await (await api(`/api/guilds/${guildId}/settings`)).json();
+  document.getElementById('staffRoles').value = settings.staffRoleIds.join(',');
+  document.getElementById('defaultChannel').value = settings.defaultChannelId || '';
+  document.getElementById('limitActive').value = settings.limits.maxActiveGiveaways;
+  document.getElementById('limitCollect').value = settings.limits.maxCollectSeconds;
+  document.getElementById('limitWinners').value = settings.limits.maxWinners;
+  document.getElementById('guildSettingsInfo').innerText = settings.updatedBy ? `Last changed by ${settings.updatedBy} on ${new Date(settings.updatedAt).toLocaleString()}` : '';
+}
+
+document.getElementById('saveGuildSettings').addEventListener('click', async () => {
+  const body = {
+    staffRoleIds: idList(document.getElementById('staffRoles').value),
+    defaultChannelId: document.getElementById('defaultChannel').value.trim() || null,
+    limits: {
+      maxActiveGiveaways: parseInt(document.getElementById('limitActive').value || '0', 10),
+      maxCollectSeconds: parseInt(document.getElementById('limitCollect').value || '0', 10),
+      maxWinners: parseInt(document.getElementById('limitWinners').value || '0', 10)
+    }
+  };
+  const res = await api(`/api/guilds/${guildId}/settings`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const result = await res.json();
+  if (!result.ok) { showError(result); return; }
+  loadGuildSettings();
+});
+
+// Setups from before multi-guild support, claimed into the selected server
+async function loadUnassigned() {
+  const res = await api('/api/setups/unassigned');
+  if (!res.ok) return; // viewers
+  const { setups } = await res.json();
+  document.getElementById('unassignedCard').style.display = setups.length ? '' : 'none';
+  const container = document.getElementById('unassignedList');
+  container.innerHTML = setups.map(s => `<p>${escapeHtml(s.name || s.id)} <button data-id="${s.id}" class="assign">Assign to this server</button></p>`).join('');
+  container.querySelectorAll('.assign').forEach(btn => btn.addEventListener('click', async () => {
+    const result = await (await api(inGuild(`/api/setups/${btn.dataset.id}/assign`), { method: 'POST' })).json();
+    if (!result.ok) showError(result);
+    load();
+  }));
+}
+
+// Outbound webhooks (/api/webhooks); editors only
+let webhookEvents = [];
+let deliveriesFor = null;
+
+function showSecret(secret) {
+  document.getElementById('webhookSecret').innerHTML = `Signing secret (shown only now, copy it to your receiver): <code>${escapeHtml(secret)}</code>`;
+}
+
+function describeDelivery(d) {
+  const last = d.attempts[d.attempts.length - 1];
+  const outcome = last ? (last.status ? `HTTP ${last.status}` : escapeHtml(last.error)) : 'not sent yet';
+  const retry = d.status === 'pending' && d.nextAttemptAt ? ` · next try ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : '';
+  return `${new Date(d.createdAt).toLocaleString()} · ${escapeHtml(d.type)} · <strong>${d.status}</strong> after ${d.attempts.length} attempt(s) (${outcome})${retry}${d.replayOf ? ' · replay' : ''}`;
+}
+
+async function loadWebhooks() {
+  const res = await api(inGuild('/api/webhooks'));
+  if (!res.ok) return; // viewers
+  const result = await res.json();
+  if (!webhookEvents.length) {
+    webhookEvents = result.events;
+    document.getElementById('webhookEvents').innerHTML = webhookEvents
+      .map(type => `<label style="font-weight:normal;display:inline-block;margin-right:12px"><input type="checkbox" value="${type}" style="width:auto" /> ${type}</label>`).join('');
+  }
+  const container = document.getElementById('webhooksList');
+  container.innerHTML = result.webhooks.length ? '' : 'No webhooks yet.';
+  for (const wh of result.webhooks) {
+    const el = document.createElement('div');
+    el.className = 'card';
+    const last = wh.lastDelivery;
+    el.innerHTML = `
+      <h4>${escapeHtml(wh.url)}${wh.enabled ? '' : ' (paused)'}</h4>
+      ${wh.description ? `<p>${escapeHtml(wh.description)}</p>` : ''}
+      <p class="muted">Events: ${wh.events.length ? wh.events.join(', ') : 'all'} · secret ${escapeHtml(wh.secretHint)}${last ? ` · last delivery ${last.status} (${escapeHtml(last.type)}, ${new Date(last.createdAt).toLocaleString()})` : ''}</p>
+      <button data-id="${wh.id}" class="wh-deliveries">Deliveries</button>
+      <button data-id="${wh.id}" class="wh-test">Send test</button>
+      <button data-id="${wh.id}" data-enabled="${wh.enabled}" class="wh-toggle">${wh.enabled ? 'Pause' : 'Resume'}</button>
+      <button data-id="${wh.id}" class="wh-secret">Rotate secret</button>
+      <button data-id="${wh.id}" class="wh-del">Delete</button>
+    `;
+    container.appendChild(el);
+  }
+  const on = (cls, handler) => container.querySelectorAll(cls).forEach(btn => btn.addEventListener('click', () => handler(btn.dataset.id, btn)));
+  on('.wh-deliveries', id => loadDeliveries(id));
+  on('.wh-test', async id => {
+    const result = await (await api(inGuild(`/api/webhooks/${id}/test`), { method: 'POST' })).json();
+    if (!result.ok) showError(result);
+    setTimeout(() => loadDeliveries(id), 2000);
+  });
+  on('.wh-toggle', async (id, btn) => {
+    const res = await api(inGuild(`/api/webhooks/${id}`), { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled: btn.dataset.enabled !== 'true' }) });
+    const result = await res.json();
+    if (!result.ok) showError(result);
+    loadWebhooks();
+  });
+  on('.wh-secret', async id => {
+    if (!confirm('Rotate the secret? Deliveries signed with the old one will stop verifying.')) return;
+    const result = await (await api(inGuild(`/api/webhooks/${id}/secret`), { method: 'POST' })).json();
+    if (!result.ok) { showError(result); return; }
+    showSecret(result.secret);
+  });
+  on('.wh-del', async id => {
+    if (!confirm('Delete webhook and its delivery log?')) return;
+    const result = await (await api(inGuild(`/api/webhooks/${id}`), { method: 'DELETE' })).json();
+    if (!result.ok) alert(result.error);
+    if (deliveriesFor === id) document.getElementById('deliveriesCard').style.display = 'none';
+    loadWebhooks();
+  });
+}
+
+async function loadDeliveries(id) {
+  deliveriesFor = id;
+  const result = await (await api(inGuild(`/api/webhooks/${id}/deliveries`))).json();
+  if (!result.ok) { showError(result); return; }
+  document.getElementById('deliveriesCard').style.display = '';
+  document.getElementById('deliveriesTitle').innerText = `Deliveries of ${id} (newest first)`;
+  const container = document.getElementById('deliveriesList');
+  container.innerHTML = result.deliveries.length
+    ? result.deliveries.map(d => `<p>${describeDelivery(d)} <button data-id="${d.id}" class="wh-replay">Replay</button></p>`).join('')
+    : 'Nothing sent yet.';
+  container.querySelectorAll('.wh-replay').forEach(btn => btn.addEventListener('click', async () => {
+    const result = await (await api(inGuild(`/api/webhooks/${id}/deliveries/${btn.dataset.id}/replay`), { method: 'POST' })).json();
+    if (!result.ok) showError(result);
+    setTimeout(() => loadDeliveries(id), 2000);
+  }));
+}
+
+document.getElementById('createWebhook').addEventListener('click', async () => {
+  const body = {
+    url: document.getElementById('webhookUrl').value.trim(),
+    description: document.getElementById('webhookDescription').value.trim(),
+    events: [...document.querySelectorAll('#webhookEvents input:checked')].map(box => box.value)
+  };
+  const res = await api(inGuild('/api/webhooks'), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const result = await res.json();
+  if (!result.ok) { showError(result); return; }
+  document.getElementById('webhookUrl').value = '';
+  document.getElementById('webhookDescription').value = '';
+  document.querySelectorAll('#webhookEvents input').forEach(box => { box.checked = false; });
+  showSecret(result.secret);
+  loadWebhooks();
+});
+
+// viewers can look around; the server rejects their writes anyway
+showUser().then(me => {
+  if (me.role === 'editor') return;
+  document.getElementById('createCard').style.display = 'none';
+  document.getElementById('importCard').style.display = 'none';
+  document.body.classList.add('readonly');
+});
+loadGuilds().then(load);
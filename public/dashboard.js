@@ -0,0 +1,222 @@
+const params = new URLSearchParams(location.search);
+const OVERLAY = params.get('overlay') === '1';
+const TOKEN = params.get('token');
+let guildFilter = params.get('guild') || ''; // '' = every server the login can see
+
+const GIVEAWAYS = {}; // id -> summary
+let selected = params.get('id');
+let detail = null; // full giveaway for `selected`
+let roundLog = []; // finished rounds of the selected draw
+let progress = null; // latest draw progress of the selected draw
+
+function escapeHtml(str) {
+  return String(str == null ? '' : str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// fetch for the API. Overlays pass ?token= (an access token) since they can't log in; everyone else
+// uses the session cookie and is sent to the login page when it is gone.
+async function api(url) {
+  const res = await fetch(url, TOKEN ? { headers: { Authorization: `Bearer ${TOKEN}` } } : undefined);
+  if (res.status === 401) {
+    location.href = `/login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+    throw new Error('login required');
+  }
+  return res;
+}
+
+function isActive(g) {
+  return g.state === 'collecting' || g.state === 'awaiting_seeds' || g.state === 'running';
+}
+
+function describeState(g) {
+  return (g.state || 'unknown').replace('_', ' ');
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toLocaleString() : '';
+}
+
+function renderLists() {
+  const all = Object.values(GIVEAWAYS).sort((a, b) => b.startAt - a.startAt);
+  const row = g => `
+    <tr class="pick ${g.id === selected ? 'selected' : ''}" data-id="${escapeHtml(g.id)}">
+      <td>${escapeHtml(g.setupName || g.id)}</td>
+      <td>${describeState(g)}</td>
+      <td>${g.entryCount}</td>
+      <td>${g.participantCount}</td>
+      <td>${isActive(g) ? (g.state === 'collecting' ? `ends ${formatTime(g.endAt)}` : '') : formatTime(g.finishedAt || g.cancelledAt)}</td>
+    </tr>`;
+  const table = list => (list.length ? `
+    <table>
+      <thead><tr><th>Giveaway</th><th>State</th><th>Entries</th><th>Users</th><th>When</th></tr></thead>
+      <tbody>${list.map(row).join('')}</tbody>
+    </table>` : '<p class="muted">None.</p>');
+  document.getElementById('activeList').innerHTML = table(all.filter(isActive));
+  document.getElementById('pastList').innerHTML = table(all.filter(g => !isActive(g)));
+  document.querySelectorAll('tr.pick').forEach(tr => tr.addEventListener('click', () => select(tr.dataset.id)));
+}
+
+function renderDetail() {
+  const container = document.getElementById('detail');
+  if (!detail) {
+    container.innerHTML = '<p class="muted">Pick a giveaway to follow it live.</p>';
+    return;
+  }
+  const g = detail;
+  // during a draw, show how many entries each user still has; eliminated users are struck through
+  const remaining = progress && progress.remainingByUser;
+  const participants = g.participants.slice().sort((a, b) => (remaining ? (remaining[b.userId] || 0) - (remaining[a.userId] || 0) : 0) || b.entries - a.entries);
+  const winners = g.winners || [];
+  const claims = {};
+  for (const c of g.claims || []) claims[c.place] = c;
+
+  container.innerHTML = `
+    <h3>${escapeHtml(g.setupName || g.id)} <span class="muted">${describeState(g)}</span></h3>
+    ${g.description ? `<p>${escapeHtml(g.description)}</p>` : ''}
+    <p><strong>Entries:</strong> ${g.entryCount} from ${g.participantCount} users
+      ${g.state === 'collecting' ? ` · collection ends ${formatTime(g.endAt)}` : ''}</p>
+    <p><strong>Server seed commitment:</strong> <span class="ids">${escapeHtml(g.serverSeedHash || 'n/a')}</span></p>
+    ${g.serverSeed ? `<p><strong>Server seed:</strong> <span class="ids">${escapeHtml(g.serverSeed)}</span> · <a href="/verify.html?id=${encodeURIComponent(g.id)}">verify</a></p>` : ''}
+    ${g.serverSeed && !OVERLAY && !TOKEN ? `<p class="chrome">Audit report: <a href="${reportUrl(g.id, 'csv')}">download CSV</a> · <a href="${reportUrl(g.id, 'json')}">download JSON</a></p>` : ''}
+    ${progress ? `
+      <p><strong>${progress.stage ? `Final round — stage ${progress.stage}` : `Round ${progress.round}`}:</strong> ${progress.remaining} of ${g.entryCount} entries left</p>
+      <div class="bar"><div style="width:${Math.round((1 - progress.remaining / Math.max(1, g.entryCount)) * 100)}%"></div></div>` : ''}
+    ${winners.length ? `
+      <h4>Winners</h4>
+      <table>
+        <thead><tr><th>Place</th><th>Prize</th><th>User</th><th>Entry</th>${g.claims.length ? '<th>Claim</th>' : ''}</tr></thead>
+        <tbody>${winners.map(w => `<tr><td>#${w.place}</td><td>${escapeHtml(w.prize)}</td><td>${escapeHtml(usernameOf(w.userId))}</td><td class="ids">${escapeHtml(w.id)}</td>${g.claims.length ? `<td>${describeClaim(claims[w.place])}</td>` : ''}</tr>`).join('')}</tbody>
+      </table>` : ''}
+    ${roundLog.length ? `
+      <h4>Rounds</h4>
+      <table>
+        <thead><tr><th>Round</th><th>Eliminated</th><th>Remaining</th></tr></thead>
+        <tbody>${roundLog.map(r => `<tr><td>${r.stage ? `Final — stage ${r.stage}` : `Round ${r.round}`}</td><td>${r.eliminated}</td><td>${r.remaining}</td></tr>`).join('')}</tbody>
+      </table>` : ''}
+    <h4>Participants</h4>
+    <table>
+      <thead><tr><th>User</th><th>Entries</th>${remaining ? '<th>Still in</th>' : ''}</tr></thead>
+      <tbody>
+        ${participants.map(p => {
+          const left = remaining ? (remaining[p.userId] || 0) : null;
+          return `<tr class="${left === 0 ? 'out' : ''}"><td>${escapeHtml(p.username || p.userId)}</td><td>${p.entries}</td>${remaining ? `<td>${left}</td>` : ''}</tr>`;
+        }).join('') || '<tr><td colspan="3">No participants yet.</td></tr>'}
+      </tbody>
+    </table>`;
+}
+
+function reportUrl(id, format) {
+  return `/api/giveaways/${encodeURIComponent(id)}/report?format=${format}`;
+}
+
+function describeClaim(c) {
+  if (!c) return '';
+  if (c.status === 'pending') return `waiting, ends ${formatTime(c.deadline)}${c.notifiedVia === 'channel' ? ' (DMs closed, pinged in channel)' : ''}`;
+  if (c.status === 'claimed') return `claimed ${formatTime(c.closedAt)}`;
+  return c.status;
+}
+
+function usernameOf(userId) {
+  const p = detail && detail.participants.find(x => x.userId === userId);
+  return (p && p.username) || userId;
+}
+
+async function select(id) {
+  selected = id;
+  roundLog = [];
+  progress = null;
+  const res = await api(`/api/giveaways/${encodeURIComponent(id)}`);
+  const data = await res.json();
+  detail = data.ok ? data.giveaway : null;
+  if (detail && detail.drawProgress) {
+    progress = detail.drawProgress;
+    roundLog = [detail.drawProgress];
+  }
+  if (!OVERLAY) {
+    history.replaceState(null, '', `?id=${encodeURIComponent(id)}${TOKEN ? `&token=${encodeURIComponent(TOKEN)}` : ''}`);
+    renderLists();
+  }
+  renderDetail();
+}
+
+async function loadList() {
+  const res = await api(guildFilter ? `/api/giveaways?guild=${encodeURIComponent(guildFilter)}` : '/api/giveaways');
+  const data = await res.json();
+  for (const id of Object.keys(GIVEAWAYS)) delete GIVEAWAYS[id];
+  for (const g of data.giveaways) GIVEAWAYS[g.id] = g;
+  renderLists();
+}
+
+async function loadGuilds() {
+  const { guilds } = await (await api('/api/guilds')).json();
+  const select = document.getElementById('guildFilter');
+  select.innerHTML += guilds.map(g => `<option value="${g.id}">${escapeHtml(g.name || g.id)}</option>`).join('');
+  select.value = guildFilter;
+  select.addEventListener('change', () => {
+    guildFilter = select.value;
+    loadList();
+  });
+}
+
+// Apply one pushed event; `giveaway` is always the summary after the change
+function handleEvent(msg) {
+  if (!msg.giveaway) return;
+  if (guildFilter && msg.giveaway.guildId !== guildFilter && msg.giveawayId !== selected) return;
+  GIVEAWAYS[msg.giveawayId] = msg.giveaway;
+  if (!OVERLAY) renderLists();
+  if (!detail || msg.giveawayId !== selected) return;
+
+  Object.assign(detail, msg.giveaway);
+  if (msg.type === 'join') {
+    const existing = detail.participants.find(p => p.userId === msg.userId);
+    if (existing) existing.entries = msg.entries;
+    else detail.participants.push({ userId: msg.userId, username: msg.username, entries: msg.entries });
+  } else if (msg.type === 'draw_start') {
+    roundLog = [];
+    progress = { round: 1, stage: null, remaining: msg.remaining };
+  } else if (msg.type === 'progress') {
+    progress = { ...progress, round: msg.round, stage: msg.stage, remaining: msg.remaining };
+  } else if (msg.type === 'round') {
+    roundLog.push(msg);
+    progress = msg;
+  } else if (msg.type === 'winners' || msg.type === 'reroll' || msg.type === 'claim' || (msg.type === 'state' && msg.state !== 'running')) {
+    // reload to pick up winners, rerolls, claims and the revealed seed
+    return select(selected);
+  }
+  renderDetail();
+}
+
+function connect() {
+  const query = new URLSearchParams();
+  if (OVERLAY && selected) query.set('giveaway', selected);
+  else if (OVERLAY && guildFilter) query.set('guild', guildFilter);
+  if (TOKEN) query.set('token', TOKEN);
+  const url = `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws${query.toString() ? `?${query}` : ''}`;
+  const ws = new WebSocket(url);
+  const status = document.getElementById('connection');
+  ws.onopen = () => { status.innerText = 'live'; };
+  ws.onmessage = e => handleEvent(JSON.parse(e.data));
+  ws.onclose = () => {
+    status.innerText = 'disconnected — retrying…';
+    // catch up on whatever was missed, then listen again
+    setTimeout(() => { loadList().then(() => selected && select(selected)); connect(); }, 2000);
+  };
+}
+
+async function showUser() {
+  const me = await (await api('/api/auth/me')).json();
+  document.getElementById('whoami').innerHTML = `Signed in as ${escapeHtml(me.name)} (${me.role})${TOKEN ? '' : ' · <a href="#" id="logout">Log out</a>'}`;
+  if (TOKEN) return;
+  document.getElementById('logout').addEventListener('click', async e => {
+    e.preventDefault();
+    await fetch('/api/auth/logout', { method: 'POST' });
+    location.href = '/login.html';
+  });
+}
+
+if (OVERLAY) document.body.classList.add('overlay');
+else showUser().then(loadGuilds);
+(OVERLAY ? Promise.resolve() : loadList()).then(() => {
+  if (selected) select(selected);
+  connect();
+});
@@ -0,0 +1,13 @@
+document.getElementById('loginForm').addEventListener('submit', async e => {
+  e.preventDefault();
+  const body = {
+    username: document.getElementById('username').value.trim(),
+    password: document.getElementById('password').value
+  };
+  const res = await fetch('/api/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const result = await res.json();
+  if (!result.ok) { document.getElementById('error').innerText = result.error; return; }
+  // only follow local paths back
+  const next = new URLSearchParams(location.search).get('next') || '/';
+  location.href = next.startsWith('/') && !next.startsWith('//') ? next : '/';
+});
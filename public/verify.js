@@ -0,0 +1,120 @@
+function escapeHtml(str) {
+  return String(str == null ? '' : str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function check(value) {
+  if (value === null || value === undefined) return '<span>n/a</span>';
+  return value ? '<span class="ok">✔ yes</span>' : '<span class="bad">✘ no</span>';
+}
+
+function roundLabel(r) {
+  if (r.type === 'final') return `Final round — stage ${r.stage}`;
+  if (r.type === 'count') return `Round ${r.round} (−${r.eliminateCount})`;
+  return `Round ${r.round} (${Math.round(r.eliminatePercent * 100)}%)`;
+}
+
+function describeSchedule(schedule) {
+  if (!schedule) return 'default';
+  const rounds = schedule.rounds.map(r => (r.eliminateCount ? `−${r.eliminateCount}` : `${Math.round(r.eliminatePercent * 100)}%`)).join(', ');
+  const chunk = schedule.finalChunkCount ? `${schedule.finalChunkCount} entries` : `${Math.round(schedule.finalChunkPercent * 100)}%`;
+  return `rounds ${rounds || 'none'}; final chunks of ${chunk}`;
+}
+
+function renderResult(data) {
+  const container = document.getElementById('result');
+  if (!data.ok) {
+    container.innerHTML = `<p class="bad">${escapeHtml(data.error || 'Verification failed')}</p>`;
+    return;
+  }
+  const rows = data.rounds.map(r => `
+    <tr>
+      <td>${roundLabel(r)}</td>
+      <td>${r.before}</td>
+      <td>${r.eliminated.length}</td>
+      <td>${r.remaining}</td>
+      <td class="ids">${r.eliminated.map(escapeHtml).join(', ')}</td>
+    </tr>`).join('');
+  const winners = data.winners || [];
+  container.innerHTML = `
+    ${data.giveawayId ? `<p><strong>Giveaway:</strong> ${escapeHtml(data.giveawayId)} ${data.setupName ? `(${escapeHtml(data.setupName)})` : ''}</p>` : ''}
+    <p><strong>SHA-256(serverSeed):</strong> <span class="ids">${escapeHtml(data.serverSeedHash)}</span></p>
+    <p><strong>Schedule:</strong> ${describeSchedule(data.schedule)}</p>
+    <p><strong>Matches commitment:</strong> ${check(data.commitmentValid)}</p>
+    <p><strong>Matches published winners:</strong> ${check(data.match)} ${(data.storedWinnerIds || []).length ? `(${data.storedWinnerIds.map(escapeHtml).join(', ')})` : ''}</p>
+    <table>
+      <thead><tr><th>Round</th><th>Entries before</th><th>Eliminated</th><th>Remaining</th><th>Eliminated entry ids</th></tr></thead>
+      <tbody>
+        ${rows}
+        <tr><td><strong>Winners</strong></td><td colspan="3">${winners.length}</td><td class="ids">${winners.map(w => escapeHtml(w.id)).join(', ')}</td></tr>
+      </tbody>
+    </table>
+    <h4>Winners</h4>
+    <table>
+      <thead><tr><th>Place</th><th>Prize</th><th>Entry id</th><th>User</th><th>Float</th></tr></thead>
+      <tbody>
+        ${winners.map(w => `<tr><td>#${w.place}</td><td>${escapeHtml(w.prize)}</td><td class="ids">${escapeHtml(w.id)}</td><td>${escapeHtml(w.userId || '')}</td><td>${w.pfFloat}</td></tr>`).join('') || '<tr><td colspan="5">none</td></tr>'}
+      </tbody>
+    </table>
+    ${(data.rerolls || []).length ? `
+    <h4>Rerolls</h4>
+    <table>
+      <thead><tr><th>Nonce</th><th>Place</th><th>Replaced entry</th><th>New entry</th><th>HMAC message suffix</th><th>Float</th></tr></thead>
+      <tbody>
+        ${data.rerolls.map(r => `<tr><td>${r.nonce}</td><td>#${r.place}</td><td class="ids">${escapeHtml(r.replacedId || '')}</td><td class="ids">${r.winner ? escapeHtml(r.winner.id) : 'none eligible'}</td><td class="ids">:${r.nonce}</td><td>${r.winner ? r.winner.pfFloat : ''}</td></tr>`).join('')}
+      </tbody>
+    </table>` : ''}
+    <h4>Entry floats</h4>
+    <table>
+      <thead><tr><th>#</th><th>Entry id</th><th>User</th><th>HMAC message</th><th>Float</th></tr></thead>
+      <tbody>
+        ${data.entries.map(e => `<tr><td>${e.index}</td><td class="ids">${escapeHtml(e.id)}</td><td>${escapeHtml(e.username || e.userId || '')}</td><td class="ids">${escapeHtml(e.message)}</td><td>${e.pfFloat}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function replayGiveaway(id) {
+  const res = await fetch(`/api/giveaways/${encodeURIComponent(id)}/verify`);
+  renderResult(await res.json());
+}
+
+document.getElementById('loadGw').addEventListener('click', () => {
+  const id = document.getElementById('gwId').value.trim();
+  if (!id) { alert('Giveaway id required'); return; }
+  replayGiveaway(id);
+});
+
+document.getElementById('verifySeeds').addEventListener('click', async () => {
+  let entries = [];
+  let rerolls = [];
+  try {
+    entries = JSON.parse(document.getElementById('entries').value || '[]');
+  } catch (e) { alert('entries must be valid JSON'); return; }
+  try {
+    rerolls = JSON.parse(document.getElementById('rerolls').value || '[]');
+  } catch (e) { alert('rerolls must be valid JSON'); return; }
+  let schedule = null;
+  try {
+    schedule = JSON.parse(document.getElementById('schedule').value || 'null');
+  } catch (e) { alert('schedule must be valid JSON'); return; }
+  const body = {
+    serverSeed: document.getElementById('serverSeed').value.trim(),
+    serverSeedHash: document.getElementById('serverSeedHash').value.trim() || undefined,
+    clientSeed1: document.getElementById('clientSeed1').value.trim(),
+    clientSeed2: document.getElementById('clientSeed2').value.trim(),
+    winnerCount: parseInt(document.getElementById('winnerCount').value || '1', 10),
+    allowMultipleWins: document.getElementById('allowMultipleWins').checked,
+    expectedWinnerIds: document.getElementById('expectedWinners').value.split(',').map(id => id.trim()).filter(Boolean),
+    entries,
+    rerolls,
+    schedule: schedule || undefined
+  };
+  const res = await fetch('/api/verify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  renderResult(await res.json());
+});
+
+const initialId = new URLSearchParams(location.search).get('id');
+if (initialId) {
+  document.getElementById('gwId').value = initialId;
+  replayGiveaway(initialId);
+}
@@ -0,0 +1,173 @@
+/**
+ * simulate.js
+ *
+ * Headless Battle Royale runner — plays the same engine the bot uses (lib/battleRoyale.js)
+ * without Discord, so draws can be checked and timed locally.
+ *
+ * Usage:
+ *    node simulate.js [options]
+ *
+ *    --entries N          synthetic entries (default 100), owned round-robin by --users
+ *    --users N            synthetic users (default: one per entry)
+ *    --entries-file F     JSON array of { id, userId } instead of synthetic entries
+ *    --server-seed S      (default: random)
+ *    --client-seed1 S     (default 'sim1')
+ *    --client-seed2 S     (default 'sim2')
+ *    --winners N          winnerCount (default 1)
+ *    --multi              allowMultipleWins
+ *    --schedule F         JSON file with a schedule, same shape as a setup's `schedule`
+ *    --verbose            print every timeline event, not just round results
+ *    --json               print the plan as JSON
+ *    --check-vectors      replay the pinned seed -> winner vectors below, check that the winner announcement fits
+ *                         Discord's limits at MAX_WINNERS, and exit non-zero on a failure
+ */
+
+import fs from 'fs';
+import {
+  generateServerSeed,
+  normalizePrizeConfig,
+  parseSchedule,
+  computeBattleRoyale,
+  MAX_WINNERS
+} from './lib/battleRoyale.js';
+import { winnerAnnouncement, embedLength } from './lib/announcement.js';
+import { FIELD_LIMIT, DESCRIPTION_LIMIT, EMBED_LIMIT } from './lib/participants.js';
+
+// Pinned draws. If one of these changes, every previously published giveaway stops verifying —
+// only update them together with a deliberate, announced change to the draw.
+const KNOWN_VECTORS = [
+  { serverSeed: 'abc', clientSeed1: 'x', clientSeed2: 'y', entries: 40, users: 7, winners: ['e_24'] },
+  { serverSeed: 's1', clientSeed1: 'a', clientSeed2: 'b', entries: 500, users: 120, winners: ['e_354', 'e_313', 'e_466'] },
+  { serverSeed: 's2', clientSeed1: 'a', clientSeed2: 'b', entries: 500, users: 120, winners: ['e_245', 'e_390', 'e_178'] },
+  { serverSeed: 'm', clientSeed1: 'sim1', clientSeed2: 'sim2', entries: 50, users: 5, multi: true, winners: ['e_49', 'e_34', 'e_1'] },
+];
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+    const key = arg.slice(2);
+    if (['multi', 'verbose', 'json', 'check-vectors'].includes(key)) { opts[key] = true; continue; }
+    if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+    opts[key] = argv[++i];
+  }
+  return opts;
+}
+
+function syntheticEntries(count, users = count) {
+  const entries = [];
+  for (let i = 0; i < count; i++) entries.push({ id: `e_${i}`, userId: `u${i % users}` });
+  return entries;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Discord calls the bot makes while playing back the timeline (start message, embed edits, round results)
+function countDiscordCalls(plan) {
+  let edits = 0, messages = 0;
+  for (const event of plan.timeline) {
+    if (event.type === 'preview') edits++;
+    else if (event.type === 'start' || event.type === 'round_end') messages++;
+  }
+  return { edits, messages };
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+function checkVectors() {
+  let failed = 0;
+  for (const v of KNOWN_VECTORS) {
+    const plan = computeBattleRoyale({
+      serverSeed: v.serverSeed,
+      clientSeed1: v.clientSeed1,
+      clientSeed2: v.clientSeed2,
+      entries: syntheticEntries(v.entries, v.users),
+      prizeConfig: normalizePrizeConfig({ winnerCount: v.winners.length, allowMultipleWins: v.multi })
+    });
+    const got = plan.winners.map(w => w.id);
+    const ok = got.length === v.winners.length && got.every((id, i) => id === v.winners[i]);
+    if (!ok) failed++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${v.serverSeed}/${v.clientSeed1}/${v.clientSeed2} (${v.entries} entries) -> ${got.join(', ')}${ok ? '' : ` (expected ${v.winners.join(', ')})`}`);
+  }
+  console.log(`${KNOWN_VECTORS.length - failed}/${KNOWN_VECTORS.length} vectors match`);
+  return failed === 0;
+}
+
+// The largest winner announcement a setup allows (plus seeds longer than any accepted now) must still send
+function checkAnnouncement() {
+  const prizeConfig = normalizePrizeConfig({ winnerCount: MAX_WINNERS, prizes: Array.from({ length: MAX_WINNERS }, (_, i) => `${i + 1}`.padEnd(100, 'P')) });
+  const plan = computeBattleRoyale({ serverSeed: 'max', clientSeed1: 'a', clientSeed2: 'b', entries: syntheticEntries(500, 100), prizeConfig });
+  const embed = winnerAnnouncement({
+    setupName: 'N'.repeat(100),
+    winners: plan.winners.map(w => ({ ...w, id: `e_${Date.now()}_abcdef`, userId: '123456789012345678901' })),
+    clientSeed1: 'x'.repeat(4000),
+    clientSeed2: 'y'.repeat(200),
+    serverSeedHash: 'f'.repeat(64)
+  });
+  const problems = [];
+  if (embedLength(embed) > EMBED_LIMIT) problems.push(`${embedLength(embed)} characters in the embed`);
+  if (embed.description.length > DESCRIPTION_LIMIT) problems.push(`${embed.description.length} characters in the description`);
+  for (const f of embed.fields) if (f.value.length > FIELD_LIMIT) problems.push(`${f.value.length} characters in ${f.name}`);
+  const listed = embed.description.split('\n').filter(line => line.startsWith('**#')).length;
+  console.log(`${problems.length ? 'FAIL' : 'ok  '} winner announcement with ${MAX_WINNERS} winners: ${embedLength(embed)} characters, ${listed} places listed${problems.length ? ` (${problems.join(', ')})` : ''}`);
+  return problems.length === 0;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts['check-vectors']) process.exit([checkVectors(), checkAnnouncement()].every(Boolean) ? 0 : 1);
+
+  const entries = opts['entries-file']
+    ? readJson(opts['entries-file'])
+    : syntheticEntries(Number(opts.entries || 100), opts.users ? Number(opts.users) : undefined);
+  if (!Array.isArray(entries) || entries.length === 0) throw new Error('No entries to draw from');
+
+  let schedule;
+  if (opts.schedule) {
+    const parsed = parseSchedule(readJson(opts.schedule));
+    if (parsed.errors.length) throw new Error(`Invalid schedule:\n  ${parsed.errors.join('\n  ')}`);
+    schedule = parsed.schedule;
+  }
+
+  const seeds = {
+    serverSeed: opts['server-seed'] || generateServerSeed(),
+    clientSeed1: opts['client-seed1'] || 'sim1',
+    clientSeed2: opts['client-seed2'] || 'sim2'
+  };
+  const prizeConfig = normalizePrizeConfig({ winnerCount: opts.winners ? Number(opts.winners) : 1, allowMultipleWins: !!opts.multi });
+  const plan = computeBattleRoyale({ ...seeds, entries, prizeConfig, schedule });
+  const calls = countDiscordCalls(plan);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ ...seeds, prizeConfig, rounds: plan.rounds.map(r => ({ ...r, eliminated: r.eliminated.length })), timeline: plan.timeline, winners: plan.winners, durationMs: plan.durationMs, discordCalls: calls }, null, 2));
+    return;
+  }
+
+  console.log(`Seeds: server=${seeds.serverSeed} client1=${seeds.clientSeed1} client2=${seeds.clientSeed2}`);
+  console.log(`${entries.length} entries, ${new Set(entries.map(e => e.userId)).size} users, ${prizeConfig.winnerCount} winner(s)`);
+  for (const event of plan.timeline) {
+    const round = plan.rounds[event.roundIndex];
+    const at = `[${(event.t / 1000).toFixed(1).padStart(7)}s]`;
+    if (event.type === 'start') console.log(`${at} start with ${event.remaining} entries`);
+    else if (event.type === 'preview' && opts.verbose) console.log(`${at}   update ${event.update}/${event.updates}: ${event.remaining} remaining`);
+    else if (event.type === 'round_end') console.log(`${at} round ${round.round}: ${event.eliminated} eliminated, ${event.remaining} remaining`);
+    else if (event.type === 'stage_end') console.log(`${at} final stage ${round.stage}: ${event.eliminated} eliminated, ${event.remaining} remaining`);
+    else if (event.type === 'winners') console.log(`${at} winners: ${event.winners.join(', ')}`);
+  }
+  console.log('');
+  for (const w of plan.winners) console.log(`#${w.place} ${w.prize}: ${w.id} (user ${w.userId}, float ${w.pfFloat})`);
+  console.log(`Estimated run time: ${formatDuration(plan.durationMs)} — ${calls.edits} embed edits, ${calls.messages} messages`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,52 @@
+/**
+ * webhook-receiver.js
+ *
+ * Minimal local endpoint for trying out outbound webhooks (lib/webhooks.js): prints every delivery it
+ * receives and whether its signature checks out. Webhooks may not point at localhost unless the bot runs
+ * with WEBHOOK_ALLOW_PRIVATE_URLS=1.
+ *
+ * Usage:
+ *    node webhook-receiver.js [--port N] [--secret S] [--fail N]
+ *
+ *    --port N      listen on N (default 4000); point a webhook at http://localhost:N/
+ *    --secret S    the webhook's signing secret (shown once when the webhook is created or its secret rotated);
+ *                  without it signatures are not checked
+ *    --fail N      answer 500 to the first N deliveries, to watch the retries and the delivery log
+ */
+
+import http from 'http';
+import { verifySignature } from './lib/webhooks.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : fallback;
+};
+const port = Number(option('--port', 4000));
+const secret = option('--secret', null);
+let failures = Number(option('--fail', 0));
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const headers = { timestamp: req.headers['x-giveaway-timestamp'], signature: req.headers['x-giveaway-signature'] };
+    const signature = secret ? (verifySignature(secret, headers, body) ? 'valid' : 'INVALID') : 'not checked';
+    let event = null;
+    try { event = JSON.parse(body); } catch (e) { /* printed raw below */ }
+    const answer = failures > 0 ? 500 : 200;
+    if (failures > 0) failures--;
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} ${req.headers['x-giveaway-event'] || '-'} delivery ${req.headers['x-giveaway-delivery'] || '-'} · signature ${signature} · answering ${answer}`);
+    if (event) {
+      const { giveaway, ...rest } = event;
+      console.log(`  ${JSON.stringify(rest)}${giveaway ? `\n  giveaway ${giveaway.id} (${giveaway.setupName}): ${giveaway.state}, ${giveaway.entryCount} entries` : ''}`);
+    } else {
+      console.log(`  ${body.slice(0, 500)}`);
+    }
+    res.writeHead(answer, { 'Content-Type': 'text/plain' });
+    res.end(answer === 200 ? 'ok' : 'failing on purpose (--fail)');
+  });
+});
+
+server.listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/${secret ? '' : ' (no --secret: signatures are not checked)'}`));